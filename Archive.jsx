@@ -0,0 +1,55 @@
+import React, { useEffect, useState } from 'react';
+import Replay from './Replay';
+import { VARIANTS, REASONS } from './labels';
+
+// Finished games kept by the server, newest first. With a profile you can narrow the list to
+// your own games; picking one opens it in the replay viewer.
+export default function Archive({ socket, profile }) {
+  const [games, setGames] = useState([]);
+  const [mine, setMine] = useState(false);
+  const [record, setRecord] = useState(null); // the game being replayed, PGN included
+  const [error, setError] = useState(null);
+  const profileId = mine && profile ? profile.profileId : null;
+
+  const refresh = () => {
+    socket.emit('listArchive', { profileId, limit: 50 }, (res) => {
+      if (res.ok) setGames(res.games);
+    });
+  };
+
+  useEffect(refresh, [socket, profileId]);
+
+  const open = (archiveId) => {
+    setError(null);
+    socket.emit('getArchivedGame', { archiveId }, (res) => {
+      if (!res.ok) return setError(res.message);
+      setRecord(res.game);
+    });
+  };
+
+  return (
+    <div className="archive">
+      <h3>Finished games</h3>
+      {profile && (
+        <label>
+          <input type="checkbox" checked={mine} onChange={e => setMine(e.target.checked)} /> Only my games
+        </label>
+      )}
+      <button onClick={refresh}>Refresh</button>
+      {error && <p className="archive-error" role="alert">{error}</p>}
+      {record && <Replay record={record} onClose={() => setRecord(null)} />}
+      {games.length ? (
+        <ul className="archive-games">
+          {games.map(g => (
+            <li key={g.archiveId}>
+              {g.white} vs {g.black} · {g.result.score} {REASONS[g.result.reason] || `by ${g.result.reason}`}
+              {' · '}{Math.ceil(g.plies / 2)} moves{g.variant && g.variant !== 'standard' && ` · ${VARIANTS[g.variant]}`}{g.rated && ' · rated'}
+              {' · '}{new Date(g.endedAt).toLocaleString()}
+              <button onClick={() => open(g.archiveId)}>Replay</button>
+            </li>
+          ))}
+        </ul>
+      ) : <p>No finished games yet.</p>}
+    </div>
+  );
+}
@@ -1,39 +1,217 @@
 import React, { useEffect, useState } from 'react';
 import Chessboard from 'react-chessboard';
 import { Chess } from 'chess.js';
+import Clock from './Clock';
+import GameOver from './GameOver';
+import EvalBar from './EvalBar';
+import QuickMessages from './QuickMessages';
+import { seatToken, saveSeat, profileToken } from './seatStore';
+
+// what a pawn reaching the last rank can become, as chess.js names them
+const PROMOTIONS = { q: 'Queen', r: 'Rook', b: 'Bishop', n: 'Knight' };
+const PROMOTION_GLYPHS = {
+  w: { q: '♕', r: '♖', b: '♗', n: '♘' },
+  b: { q: '♛', r: '♜', b: '♝', n: '♞' }
+};
+
+// what each variant adds to the rules, shown above the board
+const VARIANT_NOTES = {
+  chess960: 'Chess960: castle by dropping the king on its rook',
+  kingOfTheHill: 'King of the Hill: bring your king to d4, e4, d5 or e5 to win',
+  threeCheck: 'Three-check: the third check wins'
+};
 
 export default function Board({ socket, fen, setFen, gameId }) {
   const [game, setGame] = useState(new Chess());
-  const [history, setHistory] = useState([]);
+  // 'w' or 'b' once the server seats us, null when spectating, undefined until we hear back
+  const [color, setColor] = useState(undefined);
+  const [error, setError] = useState(null);
+  const [clock, setClock] = useState(null); // last server clock snapshot, null for untimed games
+  const [players, setPlayers] = useState(null); // last `players` summary from the server
+  const [takebackFrom, setTakebackFrom] = useState(null); // colour asking us for a takeback
+  const [drawFrom, setDrawFrom] = useState(null); // colour offering us a draw
+  const [result, setResult] = useState(null); // {reason, winner, score, pgn} once the game is over
+  const [showResult, setShowResult] = useState(false);
+  const [assists, setAssists] = useState(false); // whether this game allows hints and the eval bar
+  const [hint, setHint] = useState(null); // {fen, from, to} from the last hint
+  const [showEval, setShowEval] = useState(false);
+  const [evaluation, setEvaluation] = useState(null);
+  const [opening, setOpening] = useState(null); // {eco, name} of the book line being played
+  const [flipped, setFlipped] = useState(false); // viewing the board from the other side
+  const [promotion, setPromotion] = useState(null); // {from, to} of a pawn move waiting for a piece
+  const [variant, setVariant] = useState('standard');
+  const [checks, setChecks] = useState(null); // {w, b} checks given so far, in Three-check
 
   useEffect(() => {
-    socket.on('updateBoard', (newFen) => {
-      setHistory(prev => [...prev, game.fen()]);
+    const onSeat = (seat) => {
+      if (seat.gameId !== gameId) return;
+      setColor(seat.color);
+      setAssists(!!seat.assists);
+      if (seat.token) saveSeat(gameId, seat.token);
+    };
+    const onUpdateBoard = ({
+      gameId: id, fen: newFen, clock: newClock, opening: newOpening, variant: newVariant, checks: newChecks, result: newResult
+    }) => {
+      if (id !== gameId) return;
       setFen(newFen);
       setGame(new Chess(newFen));
+      setVariant(newVariant || 'standard');
+      setChecks(newChecks);
+      setClock(newClock ? { ...newClock, receivedAt: Date.now() } : null);
+      setOpening(newOpening);
+      setTakebackFrom(null); // any new position settles a pending request
+      setPromotion(null);
+      setResult(newResult);
+      if (!newResult) setShowResult(false);
       playMoveSound();
+    };
+    const onPlayers = (summary) => setPlayers(summary);
+    const onTakebackRequested = ({ gameId: id, by }) => {
+      if (id === gameId) setTakebackFrom(by);
+    };
+    const onTakebackAnswered = ({ gameId: id, accepted }) => {
+      if (id === gameId && !accepted) setError('Your opponent declined the takeback');
+    };
+    const onGameOver = (over) => {
+      if (over.gameId !== gameId) return;
+      setResult(over);
+      setShowResult(true);
+      setDrawFrom(null);
+    };
+    const onHint = ({ gameId: id, ...squares }) => {
+      if (id === gameId) setHint(squares);
+    };
+    const onDrawOffered = ({ gameId: id, by }) => {
+      if (id === gameId) setDrawFrom(by);
+    };
+    const onDrawAnswered = ({ gameId: id, accepted }) => {
+      if (id === gameId && !accepted) setError('Your opponent declined the draw');
+    };
+    // requests sent without an ack callback (e.g. Restart in Controls) report failures here
+    const onGameError = (err) => {
+      if (err.gameId === gameId) setError(err.message);
+    };
+
+    socket.on('seat', onSeat);
+    socket.on('updateBoard', onUpdateBoard);
+    socket.on('players', onPlayers);
+    socket.on('takebackRequested', onTakebackRequested);
+    socket.on('takebackAnswered', onTakebackAnswered);
+    socket.on('gameOver', onGameOver);
+    socket.on('hint', onHint);
+    socket.on('drawOffered', onDrawOffered);
+    socket.on('drawAnswered', onDrawAnswered);
+    socket.on('gameError', onGameError);
+    // ask for our seat now that we're listening; the server just repeats it if we already hold one,
+    // and our reconnect token gets it back after a reload or a dropped connection
+    const join = () => {
+      socket.emit('joinGame', { gameId, token: seatToken(gameId), profileToken: profileToken() }, (res) => {
+        if (!res.ok) setError(res.message);
+      });
+    };
+    socket.on('connect', join);
+    join();
+    return () => {
+      socket.off('connect', join);
+      socket.off('seat', onSeat);
+      socket.off('updateBoard', onUpdateBoard);
+      socket.off('players', onPlayers);
+      socket.off('takebackRequested', onTakebackRequested);
+      socket.off('takebackAnswered', onTakebackAnswered);
+      socket.off('gameOver', onGameOver);
+      socket.off('hint', onHint);
+      socket.off('drawOffered', onDrawOffered);
+      socket.off('drawAnswered', onDrawAnswered);
+      socket.off('gameError', onGameError);
+    };
+  }, [socket, gameId]);
+
+  // the bar follows every new position while it's switched on
+  useEffect(() => {
+    if (!showEval || !assists) return;
+    let current = true;
+    socket.emit('requestEval', { gameId }, (res) => {
+      if (!current) return;
+      if (res.ok) setEvaluation(res);
+      else setShowEval(false);
     });
-    socket.on('gameOver', ({ result }) => alert('Game over!'));
-  }, [socket]);
-
-  const makeMove = (move) => {
-    const { from, to, promotion } = move;
-    const result = game.move({ from, to, promotion });
-    if (result) {
-      setGame(game);
-      setHistory(prev => [...prev, game.fen()]);
-      socket.emit('makeMove', { gameId, from, to, promotion: 'q' });
-      playMoveSound();
+    return () => { current = false; };
+  }, [socket, gameId, fen, showEval, assists]);
+
+  const makeMove = (from, to, piece) => {
+    // spectators can't move, and players only move their own pieces on their own turn
+    // (chess.js can't load a Chess960 FEN, so there the turn is read off the FEN itself)
+    const turn = variant === 'chess960' ? fen.split(' ')[1] : game.turn();
+    if (!color || turn !== color) return false;
+    if (variant === 'chess960') return sendUnchecked(from, to, piece);
+    // a pawn reaching the last rank waits on the picker; the piece snaps back until then
+    if (game.moves({ square: from, verbose: true }).some(m => m.to === to && m.promotion)) {
+      setPromotion({ from, to });
+      return false;
     }
+    return sendMove(from, to);
   };
 
-  const undoMove = () => {
-    if (history.length < 2) return;
-    history.pop(); // remove last move
-    const lastFen = history.pop(); // get previous
-    setGame(new Chess(lastFen));
-    setFen(lastFen);
-    socket.emit('createGame', { gameId }); // reset server game (simpler approach)
+  const choosePromotion = (piece) => {
+    const { from, to } = promotion;
+    setPromotion(null);
+    if (!piece) return;
+    if (variant === 'chess960') emitMove(from, to, piece);
+    else sendMove(from, to, piece);
+  };
+
+  // chess.js can't castle in Chess960, so those moves go to the server unchecked and the piece
+  // snaps back until the new position arrives with updateBoard
+  const sendUnchecked = (from, to, piece) => {
+    if (piece[1] === 'P' && to[1] === (color === 'w' ? '8' : '1')) {
+      setPromotion({ from, to });
+      return false;
+    }
+    emitMove(from, to);
+    return false;
+  };
+
+  const sendMove = (from, to, piece) => {
+    const result = game.move({ from, to, promotion: piece });
+    if (!result) return false;
+    setGame(game);
+    setFen(game.fen());
+    // the sound waits for the server's updateBoard, which every move brings, ours included
+    emitMove(from, to, piece);
+    return true;
+  };
+
+  const emitMove = (from, to, piece) => {
+    setError(null);
+    socket.emit('makeMove', { gameId, from, to, promotion: piece }, (res) => {
+      if (res.ok) return;
+      // the server refused: drop our optimistic move and take its position instead
+      setError(res.message);
+      if (res.fen) {
+        setFen(res.fen);
+        setGame(new Chess(res.fen));
+      }
+    });
+  };
+
+  const answerTakeback = (accept) => {
+    setTakebackFrom(null);
+    socket.emit('answerTakeback', { gameId, accept }, (res) => {
+      if (!res.ok) setError(res.message);
+    });
+  };
+
+  const answerDraw = (accept) => {
+    setDrawFrom(null);
+    socket.emit('answerDraw', { gameId, accept }, (res) => {
+      if (!res.ok) setError(res.message);
+    });
+  };
+
+  const claimWin = () => {
+    socket.emit('claimWin', { gameId }, (res) => {
+      if (!res.ok) setError(res.message);
+    });
   };
 
   const playMoveSound = () => {
@@ -41,5 +219,76 @@ export default function Board({ socket, fen, setFen, gameId }) {
     audio.play();
   };
 
-  return <Chessboard position={fen} onPieceDrop={makeMove} />;
+  // players see their own side at the bottom, spectators White's, until they flip it
+  const bottomColor = (color === 'b') !== flipped ? 'b' : 'w';
+  const topColor = bottomColor === 'w' ? 'b' : 'w';
+  // a hint only applies to the position it was given for
+  const hintStyles = hint && hint.fen === fen
+    ? { [hint.from]: { boxShadow: 'inset 0 0 0 3px rgba(0,255,136,0.7)' }, [hint.to]: { boxShadow: 'inset 0 0 0 3px rgba(0,255,136,0.7)' } }
+    : {};
+  const ai = players && players.ai;
+  const opponent = color ? (color === 'w' ? 'b' : 'w') : null;
+  const opponentAway = !!opponent && !result && !!players && players.away[opponent];
+
+  return (
+    <div>
+      {color === null && <p className="seat-note">Watching as a spectator</p>}
+      {ai && <p className="seat-note">Playing the {ai.name} AI (rated about {ai.rating})</p>}
+      {players && players.rated && <p className="seat-note">Rated game</p>}
+      {VARIANT_NOTES[variant] && <p className="seat-note">{VARIANT_NOTES[variant]}</p>}
+      {checks && <p className="seat-note">Checks given: White {checks.w}, Black {checks.b}</p>}
+      {opponentAway && (
+        <p className="opponent-away" role="status">
+          Your opponent disconnected.
+          {players.abandoned[opponent]
+            ? <button onClick={claimWin}>Claim the win</button>
+            : ' Waiting for them to come back…'}
+        </p>
+      )}
+      {error && <p className="board-error" role="alert">{error}</p>}
+      {takebackFrom && (
+        <div className="takeback-prompt" role="alert">
+          {takebackFrom === 'w' ? 'White' : 'Black'} asks to take back a move.
+          <button onClick={() => answerTakeback(true)}>Accept</button>
+          <button onClick={() => answerTakeback(false)}>Decline</button>
+        </div>
+      )}
+      {drawFrom && (
+        <div className="draw-prompt" role="alert">
+          {drawFrom === 'w' ? 'White' : 'Black'} offers a draw.
+          <button onClick={() => answerDraw(true)}>Accept</button>
+          <button onClick={() => answerDraw(false)}>Decline</button>
+        </div>
+      )}
+      {promotion && (
+        <div className="promotion-picker" role="dialog" aria-label="Promote the pawn to">
+          {Object.entries(PROMOTIONS).map(([piece, name]) => (
+            <button key={piece} onClick={() => choosePromotion(piece)} aria-label={name}>{PROMOTION_GLYPHS[color][piece]}</button>
+          ))}
+          <button onClick={() => choosePromotion(null)} aria-label="Cancel">✕</button>
+        </div>
+      )}
+      {showResult && <GameOver result={result} color={color} onClose={() => setShowResult(false)} />}
+      {assists && color && (
+        <label className="eval-toggle">
+          <input type="checkbox" checked={showEval} onChange={e => setShowEval(e.target.checked)} /> Eval bar
+        </label>
+      )}
+      <button className="flip-board" onClick={() => setFlipped(f => !f)} aria-label="Flip the board">Flip board</button>
+      {opening && <p className="opening-name">{opening.eco} {opening.name}</p>}
+      <Clock clock={clock} color={topColor} />
+      <div className="board-area">
+        {showEval && <EvalBar evaluation={evaluation} />}
+        <Chessboard
+          position={fen}
+          onPieceDrop={makeMove}
+          boardOrientation={bottomColor === 'b' ? 'black' : 'white'}
+          isDraggablePiece={({ piece }) => !!color && piece[0] === color}
+          customSquareStyles={hintStyles}
+        />
+        <QuickMessages socket={socket} gameId={gameId} color={color} />
+      </div>
+      <Clock clock={clock} color={bottomColor} />
+    </div>
+  );
 }
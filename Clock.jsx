@@ -0,0 +1,34 @@
+import React, { useEffect, useState } from 'react';
+
+function formatClock(ms) {
+  const total = Math.max(0, ms);
+  const minutes = Math.floor(total / 60000);
+  const seconds = Math.floor((total % 60000) / 1000);
+  // tenths only matter in a time scramble
+  if (total < 10000) return `${minutes}:${String(seconds).padStart(2, '0')}.${Math.floor((total % 1000) / 100)}`;
+  return `${minutes}:${String(seconds).padStart(2, '0')}`;
+}
+
+// One side's clock. Counts down locally from the server's last snapshot; the server
+// alone decides when a flag has fallen.
+export default function Clock({ clock, color }) {
+  const [now, setNow] = useState(Date.now());
+  const running = !!clock && clock.running === color;
+
+  useEffect(() => {
+    if (!running) return;
+    const timer = setInterval(() => setNow(Date.now()), 100);
+    return () => clearInterval(timer);
+  }, [running, clock]);
+
+  if (!clock) return null;
+  let left = clock[color];
+  if (running) left -= Math.max(0, now - clock.receivedAt - clock.delayLeft);
+
+  return (
+    <div className={`clock${running ? ' clock-running' : ''}${left < 10000 ? ' clock-low' : ''}`}>
+      <span className="clock-side">{color === 'w' ? 'White' : 'Black'}</span>
+      <span className="clock-time">{formatClock(left)}</span>
+    </div>
+  );
+}
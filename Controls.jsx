@@ -1,10 +1,82 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
+
+export default function Controls({ socket, gameId }) {
+  const [note, setNote] = useState(null);
+  const [assists, setAssists] = useState(false);
+  const [rated, setRated] = useState(false); // rated games have no takebacks
+  const [underway, setUnderway] = useState(false); // moves made and no result yet
+
+  useEffect(() => {
+    const onSeat = (seat) => {
+      if (seat.gameId !== gameId) return;
+      setAssists(!!seat.assists && !!seat.color);
+      setRated(!!seat.rated);
+    };
+    // rated games only start from the initial position, so any move shows in the FEN
+    const onUpdateBoard = ({ gameId: id, fen, result }) => {
+      if (id !== gameId) return;
+      const [, turn, , , , fullmove] = fen.split(' ');
+      setUnderway(!result && (turn === 'b' || Number(fullmove) > 1));
+    };
+    // an answer to our takeback request or draw offer clears the waiting note
+    const onAnswered = ({ gameId: id }) => {
+      if (id === gameId) setNote(null);
+    };
+    socket.on('seat', onSeat);
+    socket.on('updateBoard', onUpdateBoard);
+    socket.on('takebackAnswered', onAnswered);
+    socket.on('drawAnswered', onAnswered);
+    return () => {
+      socket.off('seat', onSeat);
+      socket.off('updateBoard', onUpdateBoard);
+      socket.off('takebackAnswered', onAnswered);
+      socket.off('drawAnswered', onAnswered);
+    };
+  }, [socket, gameId]);
+
+  // the server rewinds the game itself; the new position arrives through updateBoard
+  const requestTakeback = () => {
+    socket.emit('requestTakeback', { gameId }, (res) => {
+      if (!res.ok) setNote(res.message);
+      else setNote(res.pending ? 'Takeback requested, waiting for your opponent…' : null);
+    });
+  };
+
+  // the board highlights the squares when the server's `hint` event arrives
+  const requestHint = () => {
+    setNote(null);
+    socket.emit('requestHint', { gameId }, (res) => {
+      if (!res.ok) setNote(res.message);
+    });
+  };
+
+  const offerDraw = () => {
+    socket.emit('offerDraw', { gameId }, (res) => {
+      if (!res.ok) setNote(res.message);
+      else if (res.pending) setNote('Draw offered, waiting for your opponent…');
+      else setNote(res.accepted ? null : 'The AI declines the draw');
+    });
+  };
+
+  const resign = () => {
+    if (!window.confirm('Resign this game?')) return;
+    socket.emit('resign', { gameId }, (res) => setNote(res.ok ? null : res.message));
+  };
+
+  // the server scores restarting a rated game in progress as a resignation
+  const restart = () => {
+    if (rated && underway && !window.confirm('Restarting loses this rated game. Restart anyway?')) return;
+    socket.emit('createGame', { gameId });
+  };
 
-export default function Controls({ socket, gameId, undoFunc }) {
   return (
     <div>
-      <button onClick={undoFunc}>Undo</button>
-      <button onClick={() => socket.emit('createGame', { gameId })}>Restart</button>
+      {!rated && <button onClick={requestTakeback}>Takeback</button>}
+      {assists && <button onClick={requestHint}>Hint</button>}
+      <button onClick={offerDraw}>Offer draw</button>
+      <button onClick={resign}>Resign</button>
+      <button onClick={restart}>Restart</button>
+      {note && <p className="controls-note">{note}</p>}
     </div>
   );
 }
@@ -0,0 +1,28 @@
+import React from 'react';
+
+// Vertical bar beside the board: White's share fills from the bottom. Scores are from
+// White's point of view; a mate fills it completely.
+export default function EvalBar({ evaluation }) {
+  if (!evaluation) return null;
+  const { score, mate, result } = evaluation;
+  let white = 50;
+  let label = '…';
+  if (result) {
+    white = result.winner === 'w' ? 100 : result.winner === 'b' ? 0 : 50;
+    label = result.score;
+  } else if (mate !== null && mate !== undefined) {
+    white = mate > 0 ? 100 : 0;
+    label = `#${mate}`;
+  } else if (score !== null && score !== undefined) {
+    // the same winning-chance curve as the page's analysis graph
+    white = 50 + 50 * (2 / (1 + Math.exp(-0.00368208 * score)) - 1);
+    label = `${score >= 0 ? '+' : ''}${(score / 100).toFixed(2)}`;
+  }
+
+  return (
+    <div className="eval-bar" role="meter" aria-label="Evaluation, White's share" aria-valuenow={Math.round(white)}>
+      <div className="eval-fill" style={{ height: `${white}%` }} />
+      <span className="eval-text">{label}</span>
+    </div>
+  );
+}
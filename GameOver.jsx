@@ -0,0 +1,31 @@
+import React from 'react';
+import { REASONS } from './labels';
+
+// End-of-game panel: who won and how, plus the final PGN to copy out.
+export default function GameOver({ result, color, onClose }) {
+  if (!result) return null;
+  const how = REASONS[result.reason] || '';
+  let headline;
+  if (!result.winner) headline = `Draw ${result.reason === 'timeout' ? '— time ran out with no mating material' : how}`;
+  else if (result.winner === color) headline = `You win ${how}`;
+  else if (color) headline = `You lose ${how}`;
+  else headline = `${result.winner === 'w' ? 'White' : 'Black'} wins ${how}`;
+  // only rated games carry ratings, and only for seats with a profile
+  const rating = result.ratings && color && result.ratings[color];
+  const change = rating && rating.after - rating.before;
+
+  return (
+    <div className="game-over" role="dialog" aria-label="Game over">
+      <h3>{headline}</h3>
+      <p className="game-over-score">{result.score}</p>
+      {rating && (
+        <p className="game-over-rating">Rating {rating.before} → {rating.after} ({change >= 0 ? '+' : ''}{change})</p>
+      )}
+      <textarea className="game-over-pgn" readOnly rows={6} value={result.pgn} />
+      <div>
+        <button onClick={() => navigator.clipboard && navigator.clipboard.writeText(result.pgn)}>Copy PGN</button>
+        <button onClick={onClose}>Close</button>
+      </div>
+    </div>
+  );
+}
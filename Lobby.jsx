@@ -1,39 +1,220 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
+import { lastGame, seatToken, saveSeat, forgetSeat, profileToken } from './seatStore';
+import Profile from './Profile';
+import Archive from './Archive';
+import { TIME_CONTROLS } from './clock.js';
+import { VARIANTS } from './labels';
+
+const COLORS = { w: 'White', b: 'Black', random: 'Random' };
+
+// "Blitz 3+2", or `untimed` for a game without a clock
+const controlLabel = (control, untimed = 'Untimed') => (TIME_CONTROLS[control] ? TIME_CONTROLS[control].label : untimed);
+
+// how far from your rating an opponent found by the queue may be; '' takes anyone
+const RATING_RANGES = { 100: '±100', 200: '±200', 400: '±400', '': 'Any rating' };
+
+// "Ann vs AI Medium (~1400)": profile names where known, an open seat shown as "open"
+function describePlayers({ w, b, ai, names }) {
+  const name = (seat, color) => (seat === 'ai' ? `AI ${ai.name} (~${ai.rating})` : seat === 'human' ? names[color] || 'Human' : 'open');
+  return `${name(w, 'w')} vs ${name(b, 'b')}`;
+}
 
 export default function Lobby({ socket, setGameId, setInGame }) {
   const [id, setId] = useState('');
   const [level, setLevel] = useState(1);
+  const [color, setColor] = useState('w'); // the creator's side; the AI or your friend gets the other
+  const [timeControl, setTimeControl] = useState('');
+  const [variant, setVariant] = useState('standard');
+  const [friendAssists, setFriendAssists] = useState(false); // hints and eval bar between people
+  const [profile, setProfile] = useState(null);
+  const [rated, setRated] = useState(false);
+  const [error, setError] = useState(null);
+  const [resumable, setResumable] = useState(lastGame);
+  const [games, setGames] = useState([]); // the server's lobby list, kept live by `lobby` events
+  const [rating, setRating] = useState(1200); // stated rating for the queue when there's no profile
+  const [range, setRange] = useState('200');
+  const [seeking, setSeeking] = useState(false);
+
+  useEffect(() => {
+    const onLobby = ({ games: list }) => setGames(list);
+    // the queue paired us: the seat is ours, Board takes it with the token
+    const onMatchFound = ({ gameId, token }) => {
+      saveSeat(gameId, token);
+      setSeeking(false);
+      setGameId(gameId);
+      setInGame(true);
+    };
+    // a new connection has left the lobby room and the queue, so subscribe again
+    const listGames = () => {
+      setSeeking(false);
+      socket.emit('listGames', {}, (res) => {
+        if (res.ok) setGames(res.games);
+      });
+    };
+    socket.on('lobby', onLobby);
+    socket.on('matchFound', onMatchFound);
+    socket.on('connect', listGames);
+    listGames();
+    return () => {
+      socket.off('lobby', onLobby);
+      socket.off('matchFound', onMatchFound);
+      socket.off('connect', listGames);
+      socket.emit('leaveLobby');
+      socket.emit('cancelSeek');
+    };
+  }, [socket]);
 
-  const createGame = () => {
+  // vsAI = false creates a two-player game; share its ID so your opponent can join
+  const createGame = (vsAI) => {
+    // only standard games are rated
+    const isRated = rated && !!profile && variant === 'standard';
     const newId = Math.random().toString(36).substring(2, 8);
     setGameId(newId);
-    socket.emit('createGame', { gameId: newId, aiLevel: parseInt(level) });
+    socket.emit('createGame', {
+      gameId: newId,
+      aiLevel: vsAI ? parseInt(level) : null,
+      color,
+      timeControl: timeControl || null,
+      // always on against the AI, never in rated games
+      assists: !isRated && (vsAI ? true : friendAssists),
+      rated: isRated,
+      variant,
+      profileToken: profileToken()
+    });
     setInGame(true);
   };
 
-  const joinGame = () => {
-    if (!id) return;
-    setGameId(id);
-    socket.emit('joinGame', { gameId: id });
-    setInGame(true);
+  const joinGame = (gameId) => {
+    if (!gameId) return;
+    setError(null);
+    socket.emit('joinGame', { gameId, token: seatToken(gameId), profileToken: profileToken() }, (res) => {
+      if (!res.ok) {
+        // the game is gone (finished long ago or pruned), so stop offering to resume it
+        if (res.code === 'unknown_game') forgetSeat(gameId);
+        setResumable(lastGame());
+        return setError(res.message);
+      }
+      setGameId(gameId);
+      setInGame(true);
+    });
   };
 
+  // the queue matches on the time control chosen above, and on the profile's rating if there is one
+  const findOpponent = () => {
+    setError(null);
+    socket.emit('findOpponent', {
+      timeControl: timeControl || null,
+      rating: Number(rating),
+      range: range === '' ? null : Number(range),
+      profileToken: profileToken()
+    }, (res) => {
+      if (!res.ok) return setError(res.message);
+      setSeeking(res.queued);
+    });
+  };
+
+  const cancelSeek = () => {
+    socket.emit('cancelSeek', {}, () => setSeeking(false));
+  };
+
+  const openGames = games.filter(g => g.openSeats.length);
+  const liveGames = games.filter(g => !g.openSeats.length);
+
   return (
     <div>
       <h2>Chess Introvert Lobby</h2>
+      <Profile socket={socket} onChange={setProfile} />
+      <hr/>
       <label>AI Difficulty: </label>
       <select value={level} onChange={e => setLevel(e.target.value)}>
-        <option value={1}>Beginner</option>
-        <option value={2}>Easy</option>
-        <option value={3}>Medium</option>
-        <option value={4}>Hard</option>
-        <option value={5}>Grandmaster</option>
+        <option value={1}>Beginner (~800)</option>
+        <option value={2}>Easy (~1100)</option>
+        <option value={3}>Medium (~1400)</option>
+        <option value={4}>Hard (~1800)</option>
+        <option value={5}>Grandmaster (~2500)</option>
       </select>
       <br/>
-      <button onClick={createGame}>Create Game vs AI</button>
+      <label>Play as: </label>
+      <select value={color} onChange={e => setColor(e.target.value)}>
+        {Object.entries(COLORS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+      </select>
+      <br/>
+      <label>Variant: </label>
+      <select value={variant} onChange={e => setVariant(e.target.value)}>
+        {Object.entries(VARIANTS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+      </select>
+      <br/>
+      <label>Time control: </label>
+      <select value={timeControl} onChange={e => setTimeControl(e.target.value)}>
+        <option value="">Untimed</option>
+        {Object.entries(TIME_CONTROLS).map(([value, { label }]) => <option key={value} value={value}>{label}</option>)}
+      </select>
+      <br/>
+      <label>
+        <input type="checkbox" checked={rated && !!profile && variant === 'standard'} disabled={!profile || variant !== 'standard'}
+          onChange={e => setRated(e.target.checked)} />
+        Rated game (no hints, eval bar or takebacks){!profile ? ' — create a profile first' : variant !== 'standard' && ' — standard chess only'}
+      </label>
+      <br/>
+      <label>
+        <input type="checkbox" checked={friendAssists && !(rated && profile && variant === 'standard')}
+          disabled={rated && !!profile && variant === 'standard'}
+          onChange={e => setFriendAssists(e.target.checked)} />
+        Allow hints and eval bar in games vs a friend
+      </label>
+      <br/>
+      <button onClick={() => createGame(true)}>Create Game vs AI</button>
+      <button onClick={() => createGame(false)}>Create Game vs Friend</button>
       <hr/>
       <input type="text" value={id} onChange={(e) => setId(e.target.value)} placeholder="Game ID" />
-      <button onClick={joinGame}>Join Game</button>
+      <button onClick={() => joinGame(id)}>Join Game</button>
+      {resumable && <button onClick={() => joinGame(resumable)}>Resume game {resumable}</button>}
+      {error && <p className="lobby-error" role="alert">{error}</p>}
+      <hr/>
+      <h3>Find an opponent</h3>
+      {profile
+        ? <span>Matching on your rating, {profile.rating}. </span>
+        : (
+          <>
+            <label>Your rating: </label>
+            <input type="number" value={rating} onChange={e => setRating(e.target.value)} disabled={seeking} />
+          </>
+        )}
+      <label> Opponent: </label>
+      <select value={range} onChange={e => setRange(e.target.value)} disabled={seeking}>
+        {Object.entries(RATING_RANGES).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+      </select>
+      {seeking
+        ? <button onClick={cancelSeek}>Stop searching</button>
+        : <button onClick={findOpponent}>Find opponent</button>}
+      {seeking && <p className="lobby-seeking">Looking for a {controlLabel(timeControl, 'untimed')} game…</p>}
+      <hr/>
+      <h3>Open seats</h3>
+      {openGames.length ? (
+        <ul className="lobby-games">
+          {openGames.map(g => (
+            <li key={g.gameId}>
+              {describePlayers(g.players)} · {controlLabel(g.timeControl)}
+              {g.variant !== 'standard' && ` · ${VARIANTS[g.variant]}`}{g.rated && ' · rated'}
+              <button onClick={() => joinGame(g.gameId)}>Join</button>
+            </li>
+          ))}
+        </ul>
+      ) : <p>No open seats right now.</p>}
+      <h3>Games in progress</h3>
+      {liveGames.length ? (
+        <ul className="lobby-games">
+          {liveGames.map(g => (
+            <li key={g.gameId}>
+              {describePlayers(g.players)} · {controlLabel(g.timeControl)}
+              {g.variant !== 'standard' && ` · ${VARIANTS[g.variant]}`} · {g.players.spectators} watching
+              <button onClick={() => joinGame(g.gameId)}>Watch</button>
+            </li>
+          ))}
+        </ul>
+      ) : <p>Nobody is playing right now.</p>}
+      <hr/>
+      <Archive socket={socket} profile={profile} />
     </div>
   );
 }
@@ -0,0 +1,91 @@
+import React, { useEffect, useState } from 'react';
+import { profileToken, saveProfileToken } from './seatStore';
+
+// how a profile's record is keyed by the server: AI level, or 'human' for every person played
+const OPPONENTS = {
+  1: 'AI Beginner (~800)',
+  2: 'AI Easy (~1100)',
+  3: 'AI Medium (~1400)',
+  4: 'AI Hard (~1800)',
+  5: 'AI Grandmaster (~2500)',
+  human: 'People'
+};
+const OUTCOMES = { win: 'Won', loss: 'Lost', draw: 'Drew' };
+
+// This browser's player profile: create one with just a name, then see its rating, its record
+// against each opponent and its recent rated games. `onChange` gets the profile (or null).
+export default function Profile({ socket, onChange }) {
+  const [profile, setProfile] = useState(null);
+  const [name, setName] = useState('');
+  const [error, setError] = useState(null);
+
+  const show = (next) => {
+    setProfile(next);
+    onChange(next);
+  };
+
+  useEffect(() => {
+    const token = profileToken();
+    if (!token) return;
+    socket.emit('getProfile', { profileToken: token }, (res) => {
+      if (res.ok) return show(res.profile);
+      // the server no longer knows it
+      if (res.code === 'unknown_profile') saveProfileToken(null);
+    });
+  }, [socket]);
+
+  const createProfile = () => {
+    setError(null);
+    socket.emit('createProfile', { name }, (res) => {
+      if (!res.ok) return setError(res.message);
+      saveProfileToken(res.token);
+      show(res.profile);
+    });
+  };
+
+  if (!profile) {
+    return (
+      <div className="profile">
+        <h3>Player profile</h3>
+        <p>Pick a name to play rated games. There is no sign-up: the profile lives in this browser.</p>
+        <input type="text" value={name} onChange={e => setName(e.target.value)} placeholder="Display name" maxLength={24} />
+        <button onClick={createProfile}>Create profile</button>
+        {error && <p className="profile-error" role="alert">{error}</p>}
+      </div>
+    );
+  }
+
+  return (
+    <div className="profile">
+      <h3>{profile.name} · {profile.rating}</h3>
+      <p>{profile.played} rated {profile.played === 1 ? 'game' : 'games'}</p>
+      {Object.keys(profile.record).length > 0 && (
+        <table className="profile-record">
+          <thead>
+            <tr><th>Against</th><th>Won</th><th>Lost</th><th>Drawn</th></tr>
+          </thead>
+          <tbody>
+            {Object.entries(OPPONENTS).filter(([key]) => profile.record[key]).map(([key, label]) => (
+              <tr key={key}>
+                <td>{label}</td>
+                <td>{profile.record[key].win}</td>
+                <td>{profile.record[key].loss}</td>
+                <td>{profile.record[key].draw}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      {profile.history.length > 0 && (
+        <ol className="profile-history">
+          {profile.history.slice(0, 20).map(game => (
+            <li key={`${game.gameId}-${game.date}`}>
+              {OUTCOMES[game.outcome]} vs {game.opponent} ({game.opponentRating}) · {game.ratingBefore} → {game.ratingAfter}
+              {' · '}{new Date(game.date).toLocaleDateString()}
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,74 @@
+import React, { useEffect, useState } from 'react';
+
+// The fixed set the server accepts (QUICK_MESSAGES in gameSocket.js); there is no free-form chat.
+const MESSAGES = {
+  'good-luck': 'Good luck!',
+  'have-fun': 'Have fun!',
+  'nice-move': 'Nice move',
+  'oops': 'Oops',
+  'thinking': 'Thinking…',
+  'thanks': 'Thanks for the game!',
+  'thumbs-up': '👍',
+  'wow': '😮',
+  'phew': '😅'
+};
+const SHOW_MS = 8000; // how long a message stays beside the board
+const MUTE_KEY = 'chess-introvert-mute-messages';
+
+// Quick messages and reactions beside the board. Players can send them; muting (remembered in
+// this browser) hides everyone else's.
+export default function QuickMessages({ socket, gameId, color }) {
+  const [shown, setShown] = useState([]); // [{at, from, text, until}], newest last
+  const [muted, setMuted] = useState(() => localStorage.getItem(MUTE_KEY) === '1');
+  const [open, setOpen] = useState(false);
+  const [note, setNote] = useState(null);
+
+  useEffect(() => {
+    const onMessage = ({ gameId: id, from, text, at }) => {
+      if (id !== gameId || (muted && from !== color)) return;
+      setShown(list => list.concat({ at, from, text, until: Date.now() + SHOW_MS }).slice(-3));
+    };
+    socket.on('quickMessage', onMessage);
+    return () => socket.off('quickMessage', onMessage);
+  }, [socket, gameId, color, muted]);
+
+  // the oldest message goes first
+  useEffect(() => {
+    if (!shown.length) return;
+    const timer = setTimeout(() => setShown(list => list.slice(1)), Math.max(0, shown[0].until - Date.now()));
+    return () => clearTimeout(timer);
+  }, [shown]);
+
+  const send = (message) => {
+    setOpen(false);
+    socket.emit('quickMessage', { gameId, message }, (res) => setNote(res.ok ? null : res.message));
+  };
+
+  const toggleMute = () => {
+    localStorage.setItem(MUTE_KEY, muted ? '0' : '1');
+    if (!muted) setShown(list => list.filter(m => m.from === color));
+    setMuted(!muted);
+  };
+
+  return (
+    <div className="quick-messages">
+      <ul className="quick-feed" aria-live="polite">
+        {shown.map(m => (
+          <li key={`${m.at}-${m.from}`} className={m.from === color ? 'mine' : 'theirs'}>{m.text}</li>
+        ))}
+      </ul>
+      {color && (
+        <button onClick={() => setOpen(!open)} aria-expanded={open} title="Quick messages">💬</button>
+      )}
+      {open && (
+        <div className="quick-picker">
+          {Object.entries(MESSAGES).map(([id, text]) => <button key={id} onClick={() => send(id)}>{text}</button>)}
+        </div>
+      )}
+      <button onClick={toggleMute} aria-pressed={muted} title={muted ? 'Show messages' : 'Mute messages'}>
+        {muted ? '🔕' : '🔔'}
+      </button>
+      {note && <p className="quick-note">{note}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,72 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import Chessboard from 'react-chessboard';
+import { Chess } from 'chess.js';
+
+// milliseconds per move while autoplaying
+const SPEEDS = { 2000: 'Slow', 1000: 'Normal', 500: 'Fast', 250: 'Very fast' };
+
+// Steps through an archived game: `record` is what getArchivedGame returns, PGN included.
+export default function Replay({ record, onClose }) {
+  // the FEN after each ply, starting from the initial position; Chess960 games, which chess.js
+  // can't replay, come with them worked out by the server
+  const { fens, moves } = useMemo(() => {
+    if (record.fens) return { fens: record.fens, moves: record.moves };
+    const game = new Chess();
+    game.load_pgn(record.pgn);
+    const history = game.history();
+    const replay = new Chess();
+    const list = [replay.fen()];
+    for (const san of history) {
+      replay.move(san);
+      list.push(replay.fen());
+    }
+    return { fens: list, moves: history };
+  }, [record]);
+  const [ply, setPly] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1000);
+  const last = fens.length - 1;
+
+  useEffect(() => {
+    setPly(0);
+    setPlaying(false);
+  }, [record]);
+
+  // autoplay stops by itself on the final position
+  useEffect(() => {
+    if (!playing) return;
+    if (ply >= last) return setPlaying(false);
+    const timer = setTimeout(() => setPly(p => p + 1), speed);
+    return () => clearTimeout(timer);
+  }, [playing, ply, speed, last]);
+
+  const go = (to) => {
+    setPlaying(false);
+    setPly(Math.max(0, Math.min(last, to)));
+  };
+
+  // "12. Nf3" for White's moves, "12... Nc6" for Black's
+  const moveLabel = ply ? `${Math.ceil(ply / 2)}.${ply % 2 ? '' : '..'} ${moves[ply - 1]}` : 'Start';
+
+  return (
+    <div className="replay">
+      <h3>{record.white} vs {record.black} · {record.result.score}</h3>
+      <Chessboard position={fens[ply]} arePiecesDraggable={false} />
+      <p className="replay-move">{moveLabel} ({ply}/{last})</p>
+      <div className="replay-controls">
+        <button onClick={() => go(0)} disabled={!ply} aria-label="First move">⏮</button>
+        <button onClick={() => go(ply - 1)} disabled={!ply} aria-label="Previous move">◀</button>
+        <button onClick={() => (ply >= last ? go(0) : setPlaying(p => !p))}>
+          {playing ? 'Pause' : ply >= last ? 'Replay' : 'Play'}
+        </button>
+        <button onClick={() => go(ply + 1)} disabled={ply >= last} aria-label="Next move">▶</button>
+        <button onClick={() => go(last)} disabled={ply >= last} aria-label="Last move">⏭</button>
+        <select value={speed} onChange={e => setSpeed(Number(e.target.value))} aria-label="Autoplay speed">
+          {Object.entries(SPEEDS).map(([ms, label]) => <option key={ms} value={ms}>{label}</option>)}
+        </select>
+        {onClose && <button onClick={onClose}>Close</button>}
+      </div>
+      <textarea className="replay-pgn" readOnly rows={6} value={record.pgn} />
+    </div>
+  );
+}
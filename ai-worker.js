@@ -0,0 +1,319 @@
+// Chess Introvert - ai-worker.js
+// The AI search, run in a Web Worker so the page never freezes while the AI thinks.
+// Iterative deepening negamax with alpha-beta, a transposition table, quiescence search
+// and piece-square-table evaluation.
+//
+// in:  {type:'search', id, position:{board, side, castling, ep, variant?, checks?}, history:[repetition keys], maxDepth, timeMs}
+// out: {type:'progress', id, depth, score, mate, pv, nodes}   after every completed depth
+//      {type:'bestmove', id, move, score, mate, depth, pv}
+//
+// in:  {type:'analyse', id, positions:[...], history:[keys, one per position], maxDepth, timeMs}
+// out: {type:'analysis', id, ply, move, score, mate, depth, pv, depths}   for each position in turn,
+//      where depths[d] = {score, mate} as of depth d
+//      {type:'analysis-done', id}
+// score is in centipawns and mate in moves, both from White's point of view; pv is a list of SAN.
+// A variant's own win (king on the hill, third check) is scored like a mate.
+// A search can't be interrupted by a message (it never yields), so cancel by terminating the worker.
+
+importScripts('engine.js');
+
+/* ---------- Evaluation ---------- */
+
+const PIECE_VALUES = {p:100, n:320, b:330, r:500, q:900, k:0};
+
+// Piece-square tables seen from White, row 0 = rank 8 (Michniewski's "simplified evaluation function").
+// Black reads them upside down.
+const PST = {
+  p: [
+     0,  0,  0,  0,  0,  0,  0,  0,
+    50, 50, 50, 50, 50, 50, 50, 50,
+    10, 10, 20, 30, 30, 20, 10, 10,
+     5,  5, 10, 25, 25, 10,  5,  5,
+     0,  0,  0, 20, 20,  0,  0,  0,
+     5, -5,-10,  0,  0,-10, -5,  5,
+     5, 10, 10,-20,-20, 10, 10,  5,
+     0,  0,  0,  0,  0,  0,  0,  0
+  ],
+  n: [
+    -50,-40,-30,-30,-30,-30,-40,-50,
+    -40,-20,  0,  0,  0,  0,-20,-40,
+    -30,  0, 10, 15, 15, 10,  0,-30,
+    -30,  5, 15, 20, 20, 15,  5,-30,
+    -30,  0, 15, 20, 20, 15,  0,-30,
+    -30,  5, 10, 15, 15, 10,  5,-30,
+    -40,-20,  0,  5,  5,  0,-20,-40,
+    -50,-40,-30,-30,-30,-30,-40,-50
+  ],
+  b: [
+    -20,-10,-10,-10,-10,-10,-10,-20,
+    -10,  0,  0,  0,  0,  0,  0,-10,
+    -10,  0,  5, 10, 10,  5,  0,-10,
+    -10,  5,  5, 10, 10,  5,  5,-10,
+    -10,  0, 10, 10, 10, 10,  0,-10,
+    -10, 10, 10, 10, 10, 10, 10,-10,
+    -10,  5,  0,  0,  0,  0,  5,-10,
+    -20,-10,-10,-10,-10,-10,-10,-20
+  ],
+  r: [
+     0,  0,  0,  0,  0,  0,  0,  0,
+     5, 10, 10, 10, 10, 10, 10,  5,
+    -5,  0,  0,  0,  0,  0,  0, -5,
+    -5,  0,  0,  0,  0,  0,  0, -5,
+    -5,  0,  0,  0,  0,  0,  0, -5,
+    -5,  0,  0,  0,  0,  0,  0, -5,
+    -5,  0,  0,  0,  0,  0,  0, -5,
+     0,  0,  0,  5,  5,  0,  0,  0
+  ],
+  q: [
+    -20,-10,-10, -5, -5,-10,-10,-20,
+    -10,  0,  0,  0,  0,  0,  0,-10,
+    -10,  0,  5,  5,  5,  5,  0,-10,
+     -5,  0,  5,  5,  5,  5,  0, -5,
+      0,  0,  5,  5,  5,  5,  0, -5,
+    -10,  5,  5,  5,  5,  5,  0,-10,
+    -10,  0,  5,  0,  0,  0,  0,-10,
+    -20,-10,-10, -5, -5,-10,-10,-20
+  ],
+  k: [
+    -30,-40,-40,-50,-50,-40,-40,-30,
+    -30,-40,-40,-50,-50,-40,-40,-30,
+    -30,-40,-40,-50,-50,-40,-40,-30,
+    -30,-40,-40,-50,-50,-40,-40,-30,
+    -20,-30,-30,-40,-40,-30,-30,-20,
+    -10,-20,-20,-20,-20,-20,-20,-10,
+     20, 20,  0,  0,  0,  0, 20, 20,
+     20, 30, 10,  0,  0, 10, 30, 20
+  ],
+  // the king should come to the centre once the heavy pieces are gone
+  kEnd: [
+    -50,-40,-30,-20,-20,-30,-40,-50,
+    -30,-20,-10,  0,  0,-10,-20,-30,
+    -30,-10, 20, 30, 30, 20,-10,-30,
+    -30,-10, 30, 40, 40, 30,-10,-30,
+    -30,-10, 30, 40, 40, 30,-10,-30,
+    -30,-10, 20, 30, 30, 20,-10,-30,
+    -30,-30,  0,  0,  0,  0,-30,-30,
+    -50,-30,-30,-30,-30,-30,-30,-50
+  ]
+};
+
+// non-pawn material (both sides) at or below which the king switches to its endgame table
+const ENDGAME_MATERIAL = 2600;
+
+// material + piece placement, from White's point of view
+function evaluate(boardState) {
+  let score = 0;
+  let officers = 0;
+  const kings = [];
+  for (let r=0;r<8;r++) for (let c=0;c<8;c++){
+    const p = boardState[r][c];
+    if (p === '.') continue;
+    const t = p.toLowerCase();
+    const white = p !== t;
+    if (t === 'k') { kings.push([white, r, c]); continue; }
+    if (t !== 'p') officers += PIECE_VALUES[t];
+    const v = PIECE_VALUES[t] + PST[t][(white ? r : 7 - r) * 8 + c];
+    score += white ? v : -v;
+  }
+  const kingTable = officers <= ENDGAME_MATERIAL ? PST.kEnd : PST.k;
+  kings.forEach(([white, r, c]) => {
+    const v = kingTable[(white ? r : 7 - r) * 8 + c];
+    score += white ? v : -v;
+  });
+  return score;
+}
+
+// evaluation from the side to move's point of view, as negamax wants it
+function sideEval(pos) {
+  const e = evaluate(pos.board);
+  return pos.side === 'w' ? e : -e;
+}
+
+/* ---------- Search ---------- */
+
+const MATE = 1000000; // mate scores are MATE - plies-to-mate
+const INF = 1e9;
+const TT_LIMIT = 200000; // entries kept before the table is cleared
+const EXACT = 0, LOWER = 1, UPPER = 2;
+const TIMEOUT = {}; // thrown to unwind the search when the time budget runs out
+
+const tt = new Map(); // repetition key -> {depth, score, flag, best}
+let deadline = 0;
+let nodes = 0;
+let pathKeys = []; // positions on the current line plus the game so far, for repetition draws
+
+function sameMove(a, b) {
+  return !!a && !!b && a.from[0] === b.from[0] && a.from[1] === b.from[1] &&
+    a.to[0] === b.to[0] && a.to[1] === b.to[1] && (a.promotion || null) === (b.promotion || null);
+}
+
+function isCapture(pos, mv) {
+  return mv.enPassant || pos.board[mv.to[0]][mv.to[1]] !== '.';
+}
+
+// hash move first, then captures by most valuable victim / least valuable attacker, then promotions
+function orderMoves(pos, moves, hashMove) {
+  const score = mv => {
+    if (sameMove(mv, hashMove)) return 1e6;
+    let s = 0;
+    if (isCapture(pos, mv)) {
+      const victim = mv.enPassant ? 'p' : pos.board[mv.to[0]][mv.to[1]].toLowerCase();
+      const attacker = pos.board[mv.from[0]][mv.from[1]].toLowerCase();
+      s += 10000 + 10 * PIECE_VALUES[victim] - PIECE_VALUES[attacker];
+    }
+    if (mv.promotion) s += PIECE_VALUES[mv.promotion];
+    return s;
+  };
+  const scored = moves.map(mv => [score(mv), mv]);
+  scored.sort((a, b) => b[0] - a[0]);
+  return scored.map(x => x[1]);
+}
+
+function checkTime() {
+  if ((++nodes & 1023) === 0 && performance.now() > deadline) throw TIMEOUT;
+}
+
+function negamax(pos, depth, alpha, beta, ply) {
+  checkTime();
+  const key = positionKeyOf(pos);
+  // a position already seen on this line (or earlier in the game) is scored as a draw
+  if (ply > 0 && pathKeys.includes(key)) return 0;
+  const won = variantWinner(pos);
+  if (won) return won === pos.side ? MATE - ply : -(MATE - ply);
+  const entry = tt.get(key);
+  if (entry && ply > 0 && entry.depth >= depth) {
+    if (entry.flag === EXACT) return entry.score;
+    if (entry.flag === LOWER && entry.score >= beta) return entry.score;
+    if (entry.flag === UPPER && entry.score <= alpha) return entry.score;
+  }
+  if (depth <= 0) return quiesce(pos, alpha, beta);
+
+  const legal = generateLegalMoves(pos.board, pos.side, pos.castling, pos.ep);
+  if (!legal.length) return isInCheck(pos.board, pos.side) ? -(MATE - ply) : 0;
+
+  const alphaOrig = alpha;
+  let best = -INF;
+  let bestMove = null;
+  pathKeys.push(key);
+  try {
+    for (const mv of orderMoves(pos, legal, entry && entry.best)) {
+      const score = -negamax(positionAfterMove(pos, mv), depth - 1, -beta, -alpha, ply + 1);
+      if (score > best) { best = score; bestMove = mv; }
+      if (score > alpha) alpha = score;
+      if (alpha >= beta) break;
+    }
+  } finally {
+    pathKeys.pop();
+  }
+  const flag = best <= alphaOrig ? UPPER : best >= beta ? LOWER : EXACT;
+  tt.set(key, {depth, score: best, flag, best: bestMove});
+  return best;
+}
+
+// only captures (and promotions) until the position is quiet, so the horizon doesn't hide a hanging piece
+function quiesce(pos, alpha, beta) {
+  checkTime();
+  const won = variantWinner(pos);
+  if (won) return won === pos.side ? MATE : -MATE;
+  const standPat = sideEval(pos);
+  if (standPat >= beta) return standPat;
+  if (standPat > alpha) alpha = standPat;
+  const noisy = generateMovesForSide(pos.board, pos.side, '', pos.ep)
+    .filter(mv => isCapture(pos, mv) || mv.promotion === 'q')
+    .filter(mv => !isInCheck(makeMoveOnBoard(pos.board, mv), pos.side));
+  for (const mv of orderMoves(pos, noisy, null)) {
+    const score = -quiesce(positionAfterMove(pos, mv), -beta, -alpha);
+    if (score >= beta) return score;
+    if (score > alpha) alpha = score;
+  }
+  return alpha;
+}
+
+// follow the table's best moves from the root
+function principalVariation(pos, depth) {
+  const line = [];
+  const seen = new Set();
+  let cur = pos;
+  for (let i = 0; i < depth; i++) {
+    const key = positionKeyOf(cur);
+    const entry = tt.get(key);
+    if (!entry || !entry.best || seen.has(key)) break;
+    seen.add(key);
+    line.push(moveToSan(cur, entry.best));
+    cur = positionAfterMove(cur, entry.best);
+  }
+  return line;
+}
+
+// side-to-move score -> {score, mate} from White's point of view
+function whiteView(pos, score) {
+  const sign = pos.side === 'w' ? 1 : -1;
+  if (Math.abs(score) < MATE - 1000) return {score: sign * score, mate: null};
+  const plies = MATE - Math.abs(score);
+  return {score: sign * score, mate: sign * Math.sign(score) * Math.ceil(plies / 2)};
+}
+
+// onDepth(result, nodes) is called after every completed depth
+function search({position, history = [], maxDepth, timeMs, scoreForced = false}, onDepth) {
+  deadline = performance.now() + timeMs;
+  nodes = 0;
+  pathKeys = history.slice();
+  if (tt.size > TT_LIMIT) tt.clear();
+
+  const legal = generateLegalMoves(position.board, position.side, position.castling, position.ep);
+  if (!legal.length || variantWinner(position)) return {move: null, score: 0, mate: null, depth: 0, pv: []};
+  let result = {move: orderMoves(position, legal, null)[0], score: 0, mate: null, depth: 0, pv: []};
+  // forced: nothing to think about when playing, though analysis still wants the score
+  if (legal.length === 1 && !scoreForced) return result;
+
+  const rootKey = positionKeyOf(position);
+  for (let depth = 1; depth <= maxDepth; depth++) {
+    let score;
+    try {
+      score = negamax(position, depth, -INF, INF, 0);
+    } catch (e) {
+      if (e !== TIMEOUT) throw e;
+      break; // keep the last fully searched depth
+    }
+    const pv = principalVariation(position, depth);
+    result = {move: tt.get(rootKey).best, ...whiteView(position, score), depth, pv};
+    if (onDepth) onDepth(result, nodes);
+    if (result.mate !== null) break; // no point searching deeper than a forced mate
+  }
+  return result;
+}
+
+// Evaluate every position of a game, in order. A finished game's last position has no moves
+// (or a variant winner), so it is scored directly: won (mate 0, score carrying the winner's sign) or drawn.
+function analyse({id, positions, history, maxDepth, timeMs}) {
+  positions.forEach((position, ply) => {
+    let result;
+    // the scores of shallower depths let the page compare lines that end on the same ply
+    const depths = [];
+    const won = variantWinner(position);
+    if (won) {
+      result = {move: null, score: won === 'w' ? MATE : -MATE, mate: 0, depth: 0, pv: []};
+    } else if (generateLegalMoves(position.board, position.side, position.castling, position.ep).length) {
+      const onDepth = ({score, mate, depth}) => { depths[depth] = {score, mate}; };
+      result = search({position, history: history.slice(0, ply), maxDepth, timeMs, scoreForced: true}, onDepth);
+    } else {
+      const mated = isInCheck(position.board, position.side);
+      const score = mated ? (position.side === 'w' ? -MATE : MATE) : 0;
+      result = {move: null, score, mate: mated ? 0 : null, depth: 0, pv: []};
+    }
+    const {move, score, mate, depth, pv} = result;
+    postMessage({type: 'analysis', id, ply, move, score, mate, depth, pv, depths});
+  });
+  postMessage({type: 'analysis-done', id});
+}
+
+self.onmessage = (e) => {
+  const msg = e.data;
+  if (msg.type === 'search') {
+    const onDepth = ({score, mate, depth, pv}, nodes) =>
+      postMessage({type: 'progress', id: msg.id, depth, score, mate, pv, nodes});
+    postMessage({type: 'bestmove', id: msg.id, ...search(msg, onDepth)});
+  } else if (msg.type === 'analyse') {
+    analyse(msg);
+  }
+};
@@ -0,0 +1,194 @@
+// Chess Introvert - chess960.js
+// A Chess960 game for the server, with the part of the chess.js API that gameSocket.js uses.
+// chess.js can't castle from a shuffled back rank, so this one plays on engine.js instead.
+// Castling rights are the rooks' files (Shredder-FEN; X-FEN's KQkq are read as those), and a
+// castling move is written king takes rook ("e1" to "h1"), as engines speak it with UCI_Chess960;
+// the king's own target square works too when it isn't also an ordinary king move.
+
+const engine = require('./engine');
+
+const FIFTY_MOVE_PLIES = 100;
+// the Seven Tag Roster goes first in the PGN, whatever order the tags were set in
+const ROSTER = ['Event', 'Site', 'Date', 'Round', 'White', 'Black', 'Result'];
+
+class Chess960 {
+  // a start position drawn at random unless a FEN is given
+  constructor(fen = engine.chess960Fen(Math.floor(Math.random() * 960))) {
+    if (!this.load(fen)) throw new Error(`Chess960: bad FEN ${fen}`);
+  }
+
+  // false (and nothing changed) when the FEN doesn't parse
+  load(fen) {
+    let pos;
+    try {
+      pos = engine.parseFen(fen);
+    } catch (e) {
+      return false;
+    }
+    pos.castling = engine.chess960Castling(pos.board, pos.castling);
+    this.positions = [pos]; // the position before each move, and the current one last
+    this.played = []; // verbose moves, as chess.js returns them
+    this.headers = { SetUp: '1', FEN: this.fenOf(pos) };
+    return true;
+  }
+
+  fenOf(pos) {
+    return engine.boardToFen(pos.board, pos.side, pos.castling, pos.ep, pos.halfmove, pos.fullmove);
+  }
+
+  position() {
+    return this.positions[this.positions.length - 1];
+  }
+
+  fen() {
+    return this.fenOf(this.position());
+  }
+
+  turn() {
+    return this.position().side;
+  }
+
+  legalMoves() {
+    const pos = this.position();
+    return engine.generateLegalMoves(pos.board, pos.side, pos.castling, pos.ep);
+  }
+
+  // {color, from, to, piece, captured?, promotion?, flags, san} for one of the legal moves
+  describe(mv) {
+    const pos = this.position();
+    const piece = pos.board[mv.from[0]][mv.from[1]];
+    const target = pos.board[mv.to[0]][mv.to[1]];
+    const captured = mv.enPassant ? 'p' : !mv.castle && target !== '.' ? target.toLowerCase() : null;
+    let flags = mv.castle || (mv.enPassant ? 'e' : captured ? 'c' : 'n');
+    if (mv.promotion) flags += 'p';
+    const move = {
+      color: pos.side, from: engine.squareName(...mv.from), to: engine.squareName(...mv.to),
+      piece: piece.toLowerCase(), flags, san: engine.moveToSan(pos, mv)
+    };
+    if (captured) move.captured = captured;
+    if (mv.promotion) move.promotion = mv.promotion;
+    return move;
+  }
+
+  moves({ verbose = false, square } = {}) {
+    const moves = this.legalMoves()
+      .filter(mv => !square || engine.squareName(...mv.from) === square)
+      .map(mv => this.describe(mv));
+    return verbose ? moves : moves.map(m => m.san);
+  }
+
+  // `move` is SAN or {from, to, promotion}; returns the verbose move played, or null if it isn't legal
+  move(move) {
+    const legal = this.legalMoves();
+    let mv;
+    if (typeof move === 'string') {
+      mv = engine.sanToMove(this.position(), move);
+    } else if (move) {
+      const matches = (m, to) => engine.squareName(...m.from) === move.from && to === move.to &&
+        (m.promotion || undefined) === (move.promotion || undefined);
+      mv = legal.find(m => matches(m, engine.squareName(...m.to)))
+        || legal.find(m => m.castle && matches(m, engine.squareName(m.from[0], m.castle === 'k' ? 6 : 2)));
+    }
+    if (!mv) return null;
+    const pos = this.position();
+    const described = this.describe(mv);
+    const next = engine.positionAfterMove(pos, mv);
+    next.halfmove = described.piece === 'p' || described.captured ? 0 : pos.halfmove + 1;
+    next.fullmove = pos.fullmove + (pos.side === 'b' ? 1 : 0);
+    this.positions.push(next);
+    this.played.push(described);
+    return described;
+  }
+
+  undo() {
+    if (!this.played.length) return null;
+    this.positions.pop();
+    return this.played.pop();
+  }
+
+  history({ verbose = false } = {}) {
+    return verbose ? this.played.slice() : this.played.map(m => m.san);
+  }
+
+  // chess.js's layout: rank 8 first, each square null or {type, color}
+  board() {
+    return this.position().board.map(row => row.map(p => (p === '.' ? null : {
+      type: p.toLowerCase(), color: p === p.toUpperCase() ? 'w' : 'b'
+    })));
+  }
+
+  in_check() {
+    const pos = this.position();
+    return engine.isInCheck(pos.board, pos.side);
+  }
+
+  in_checkmate() {
+    return this.in_check() && !this.legalMoves().length;
+  }
+
+  in_stalemate() {
+    return !this.in_check() && !this.legalMoves().length;
+  }
+
+  insufficient_material() {
+    return engine.isInsufficientMaterial(this.position().board);
+  }
+
+  in_threefold_repetition() {
+    const key = engine.positionKeyOf(this.position());
+    return this.positions.filter(pos => engine.positionKeyOf(pos) === key).length >= 3;
+  }
+
+  in_draw() {
+    return this.position().halfmove >= FIFTY_MOVE_PLIES || this.in_stalemate() ||
+      this.insufficient_material() || this.in_threefold_repetition();
+  }
+
+  game_over() {
+    return this.in_draw() || this.in_checkmate();
+  }
+
+  // header('Key', 'value', ...) sets tags; returns them all
+  header(...pairs) {
+    for (let i = 0; i + 1 < pairs.length; i += 2) this.headers[pairs[i]] = pairs[i + 1];
+    return this.headers;
+  }
+
+  pgn() {
+    const keys = ROSTER.filter(key => key in this.headers)
+      .concat(Object.keys(this.headers).filter(key => !ROSTER.includes(key)));
+    const tags = keys.map(key => `[${key} "${this.headers[key]}"]`).join('\n');
+    const text = this.played.map((m, i) => {
+      const { side, fullmove } = this.positions[i];
+      if (side === 'w') return `${fullmove}. ${m.san}`;
+      return i === 0 ? `${fullmove}... ${m.san}` : m.san;
+    });
+    if (this.headers.Result) text.push(this.headers.Result);
+    return (tags ? `${tags}\n\n` : '') + text.join(' ');
+  }
+
+  // Replays a PGN from its FEN tag (the normal start without one); false, leaving the game as it
+  // was, when the text is empty or a move doesn't fit.
+  load_pgn(pgn) {
+    if (!pgn || !pgn.trim()) return false;
+    const headers = {};
+    let text = pgn.replace(/^\s*\[(\w+)\s+"((?:[^"\\]|\\.)*)"\]\s*$/gm, (line, key, value) => {
+      headers[key] = value;
+      return '';
+    });
+    // comments, then variations from the innermost out, then annotations, move numbers and the result
+    text = text.replace(/\{[^}]*\}|;[^\n]*/g, ' ');
+    while (/\([^()]*\)/.test(text)) text = text.replace(/\([^()]*\)/g, ' ');
+    const tokens = text.replace(/\$\d+|\d+\.(\.\.)?/g, ' ').split(/\s+/)
+      .filter(token => token && !/^(1-0|0-1|1\/2-1\/2|\*)$/.test(token));
+    const saved = { positions: this.positions, played: this.played, headers: this.headers };
+    if (!this.load(headers.FEN || engine.START_FEN) || !tokens.every(san => this.move(san))) {
+      Object.assign(this, saved);
+      return false;
+    }
+    Object.assign(this.headers, headers);
+    return true;
+  }
+}
+
+module.exports = { Chess960 };
@@ -0,0 +1,119 @@
+// Chess Introvert - clock.js
+// Server-side chess clocks, and the one table of time controls: the page loads this as a plain
+// script for TIME_CONTROLS and the lobby imports it. All times are milliseconds.
+// A clock starts with White's first move; after that each move stops the mover's time,
+// adds the increment and starts the opponent's. With a delay, the first `delay` ms of
+// every turn are free (simple / US delay).
+
+const TIME_CONTROLS = {
+  'bullet-1+0': { label: 'Bullet 1+0', initial: 60000, increment: 0, delay: 0 },
+  'bullet-2+1': { label: 'Bullet 2+1', initial: 120000, increment: 1000, delay: 0 },
+  'blitz-3+2': { label: 'Blitz 3+2', initial: 180000, increment: 2000, delay: 0 },
+  'blitz-5+0': { label: 'Blitz 5+0', initial: 300000, increment: 0, delay: 0 },
+  'blitz-5d3': { label: 'Blitz 5 | 3s delay', initial: 300000, increment: 0, delay: 3000 },
+  'rapid-10+0': { label: 'Rapid 10+0', initial: 600000, increment: 0, delay: 0 },
+  'rapid-15+10': { label: 'Rapid 15+10', initial: 900000, increment: 10000, delay: 0 }
+};
+
+// Returns null for untimed games (no or unknown control).
+function createClock(control) {
+  const tc = TIME_CONTROLS[control];
+  if (!tc) return null;
+  return { control, remaining: { w: tc.initial, b: tc.initial }, turn: 'w', turnStartedAt: null, paused: false };
+}
+
+function timeLeft(clock, color, now = Date.now()) {
+  if (clock.turn !== color || clock.turnStartedAt === null) return clock.remaining[color];
+  const spent = Math.max(0, now - clock.turnStartedAt - TIME_CONTROLS[clock.control].delay);
+  return clock.remaining[color] - spent;
+}
+
+// The side to move has just moved.
+function pressClock(clock, now = Date.now()) {
+  const mover = clock.turn;
+  if (clock.turnStartedAt !== null) {
+    clock.remaining[mover] = timeLeft(clock, mover, now) + TIME_CONTROLS[clock.control].increment;
+  }
+  clock.turn = mover === 'w' ? 'b' : 'w';
+  clock.turnStartedAt = now;
+}
+
+// Freeze both sides, e.g. when the game ends.
+function stopClock(clock, now = Date.now()) {
+  clock.remaining[clock.turn] = Math.max(0, timeLeft(clock, clock.turn, now));
+  clock.turnStartedAt = null;
+}
+
+// A takeback hands the move back to `color`. Time already used stays used; the clock keeps
+// running unless the game is back at its first move (clocks start with White's first move).
+function rewindClock(clock, color, running, now = Date.now()) {
+  if (clock.turnStartedAt !== null) clock.remaining[clock.turn] = Math.max(0, timeLeft(clock, clock.turn, now));
+  clock.turn = color;
+  clock.turnStartedAt = running && !clock.paused ? now : null;
+}
+
+function isFlagged(clock, now = Date.now()) {
+  return clock.turnStartedAt !== null && timeLeft(clock, clock.turn, now) <= 0;
+}
+
+function msUntilFlag(clock, now = Date.now()) {
+  if (clock.turnStartedAt === null) return Infinity;
+  return Math.max(0, timeLeft(clock, clock.turn, now));
+}
+
+// What clients get in updateBoard: both times as of `now` and which one is counting down.
+function clockSnapshot(clock, now = Date.now()) {
+  if (!clock) return null;
+  return {
+    control: clock.control,
+    label: TIME_CONTROLS[clock.control].label,
+    w: Math.max(0, timeLeft(clock, 'w', now)),
+    b: Math.max(0, timeLeft(clock, 'b', now)),
+    running: clock.turnStartedAt !== null ? clock.turn : null,
+    // how much of the running side's delay is still unspent, so clients can hold their countdown
+    delayLeft: clock.turnStartedAt !== null
+      ? Math.max(0, TIME_CONTROLS[clock.control].delay - (now - clock.turnStartedAt))
+      : 0
+  };
+}
+
+// For the game store. A running clock is saved paused, so server downtime costs nobody time;
+// it resumes when a player comes back.
+function serializeClock(clock, now = Date.now()) {
+  if (!clock) return null;
+  const running = clock.turnStartedAt !== null || clock.paused;
+  return {
+    control: clock.control,
+    remaining: { w: timeLeft(clock, 'w', now), b: timeLeft(clock, 'b', now) },
+    turn: clock.turn,
+    paused: running
+  };
+}
+
+function restoreClock(data) {
+  if (!data || !TIME_CONTROLS[data.control]) return null;
+  return { control: data.control, remaining: { ...data.remaining }, turn: data.turn, turnStartedAt: null, paused: !!data.paused };
+}
+
+function resumeClock(clock, now = Date.now()) {
+  if (!clock.paused) return;
+  clock.paused = false;
+  clock.turnStartedAt = now;
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = {
+    TIME_CONTROLS,
+    createClock,
+    timeLeft,
+    pressClock,
+    stopClock,
+    rewindClock,
+    isFlagged,
+    msUntilFlag,
+    clockSnapshot,
+    serializeClock,
+    restoreClock,
+    resumeClock
+  };
+}
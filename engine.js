@@ -0,0 +1,527 @@
+// Chess Introvert - engine.js
+// Pure chess rules shared by the page (script.js) and the AI worker (ai-worker.js):
+// move generation, check detection, SAN, FEN and PGN, and the variants' own rules. No DOM access
+// and no game state here. The server loads it with require() for Chess960 games (chess960.js).
+
+/* ---------------------------
+   board: 8x8 array, row 0 = rank 8, pieces as single letters:
+   P,N,B,R,Q,K uppercase = white, lowercase = black, '.' = empty
+   --------------------------- */
+
+/* ---------- Board representation & helpers ---------- */
+
+const START_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+const KNIGHT_DELTAS = [[1,2],[2,1],[-1,2],[-2,1],[1,-2],[2,-1],[-1,-2],[-2,-1]];
+const KING_DELTAS = [[1,1],[1,0],[1,-1],[0,1],[0,-1],[-1,1],[-1,0],[-1,-1]];
+const DIAGONALS = [[1,1],[1,-1],[-1,1],[-1,-1]];
+const ORTHOGONALS = [[1,0],[-1,0],[0,1],[0,-1]];
+const PROMOTION_PIECES = ['q','r','b','n'];
+
+function inRange(x){return x>=0 && x<8;}
+function pieceColor(p){ return p === p.toUpperCase() ? 'w' : 'b';}
+function isOpposite(a,b){ return pieceColor(a) !== pieceColor(b);}
+
+function cloneBoard(b){ return b.map(r=>r.slice()); }
+
+/* ---------- Move generation ----------
+   generateMovesForSide() lists pseudo-legal moves; generateLegalMoves() drops
+   any of them that would leave the mover's own king in check.
+   A position is {board, side, castling, ep}; positionAfterMove() returns a new one.
+   Castling rights are "KQkq" letters, or the castling rooks' files ("HAha", Shredder-FEN) in
+   Chess960. A castling move is {from: king, to, castle: 'k'|'q', rook: file}; `to` is the king's
+   destination with KQkq rights and the rook's square with file rights, so in Chess960 the king
+   castles by moving onto its own rook and never looks like an ordinary king move.
+------------------------------------------------------------------ */
+
+function generateMovesForSide(boardState, side, castling = '', ep = null) {
+  // pseudo-legal moves (including castling, en passant and promotions); king safety is checked by generateLegalMoves
+  const moves = [];
+  for (let r=0;r<8;r++) for (let c=0;c<8;c++){
+    const p = boardState[r][c];
+    if (p === '.') continue;
+    const isWhite = p === p.toUpperCase();
+    if ((side === 'w') !== isWhite) continue;
+    const t = p.toLowerCase();
+    if (t === 'p') {
+      const dir = isWhite ? -1 : 1;
+      const nr = r + dir;
+      // reaching the last rank yields one move per promotion piece
+      const pushPawnMove = (to, extra) => {
+        if (to[0] === 0 || to[0] === 7) PROMOTION_PIECES.forEach(pr => moves.push({from:[r,c], to, promotion: pr, ...extra}));
+        else moves.push({from:[r,c], to, ...extra});
+      };
+      if (inRange(nr) && boardState[nr][c] === '.') pushPawnMove([nr,c]);
+      // capture
+      for (const dc of [-1,1]) {
+        const nc = c + dc;
+        if (!inRange(nr) || !inRange(nc)) continue;
+        if (boardState[nr][nc] !== '.' && isOpposite(p, boardState[nr][nc])) pushPawnMove([nr,nc]);
+        else if (ep && ep[0] === nr && ep[1] === nc) moves.push({from:[r,c], to:[nr,nc], enPassant: true});
+      }
+      // double step
+      if ((r === 6 && isWhite) || (r === 1 && !isWhite)) {
+        const rr = r + dir*2;
+        if (boardState[r+dir][c] === '.' && boardState[rr][c] === '.') moves.push({from:[r,c], to:[rr,c]});
+      }
+    } else if (t === 'n') {
+      KNIGHT_DELTAS.forEach(d=>{
+        const rr=r+d[0], cc=c+d[1];
+        if(!inRange(rr)||!inRange(cc))return;
+        const t2=boardState[rr][cc];
+        if (t2 === '.' || isOpposite(p, t2)) moves.push({from:[r,c],to:[rr,cc]});
+      });
+    } else if (t === 'b' || t === 'r' || t==='q') {
+      const deltas = (t==='b') ? DIAGONALS : (t==='r') ? ORTHOGONALS : DIAGONALS.concat(ORTHOGONALS);
+      deltas.forEach(d=>{
+        let rr=r+d[0], cc=c+d[1];
+        while(inRange(rr) && inRange(cc)) {
+          const t2 = boardState[rr][cc];
+          if (t2 === '.') { moves.push({from:[r,c],to:[rr,cc]}); }
+          else { if (isOpposite(p,t2)) moves.push({from:[r,c],to:[rr,cc]}); break; }
+          rr += d[0]; cc += d[1];
+        }
+      });
+    } else if (t === 'k') {
+      KING_DELTAS.forEach(d=>{
+        const rr = r+d[0], cc = c+d[1];
+        if (!inRange(rr)||!inRange(cc)) return;
+        const t2 = boardState[rr][cc];
+        if (t2 === '.' || isOpposite(p,t2)) moves.push({from:[r,c],to:[rr,cc]});
+      });
+      castlingMoves(boardState, r, c, castling).forEach(mv => moves.push(mv));
+    }
+  }
+  return moves;
+}
+
+// Castling: the right still held, the rook on its square, every square the king and rook cross
+// empty but for the two of them, and the king not in, passing through or landing in check.
+// The king always ends on the g- or c-file and the rook next to it, as in Chess960.
+function castlingMoves(boardState, r, c, castling) {
+  const moves = [];
+  const king = boardState[r][c];
+  const isWhite = king === 'K';
+  const home = isWhite ? 7 : 0;
+  if (r !== home) return moves;
+  const enemy = isWhite ? 'b' : 'w';
+  for (const right of castling) {
+    if ((right === right.toUpperCase()) !== isWhite) continue;
+    // KQkq castle the normal way, king from the e-file with the rook from the corner; Chess960
+    // positions have theirs as rook files (see chess960Castling)
+    const standard = 'KQkq'.includes(right);
+    const rf = castlingRookFile(boardState, right);
+    if (boardState[home][rf] !== (isWhite ? 'R' : 'r')) continue;
+    if (standard && (c !== 4 || rf !== (right.toLowerCase() === 'k' ? 7 : 0))) continue;
+    const kingside = rf > c;
+    const kt = kingside ? 6 : 2;
+    const rt = kingside ? 5 : 3;
+    const lo = Math.min(c, kt, rf, rt);
+    const hi = Math.max(c, kt, rf, rt);
+    let clear = true;
+    for (let x = lo; x <= hi; x++) if (x !== c && x !== rf && boardState[home][x] !== '.') clear = false;
+    if (!clear) continue;
+    let safe = true;
+    for (let x = c; safe; x += Math.sign(kt - c)) {
+      if (isSquareAttacked(boardState, home, x, enemy)) safe = false;
+      if (x === kt) break;
+    }
+    if (safe) moves.push({from:[r,c], to: standard ? [home,kt] : [home,rf], castle: kingside ? 'k' : 'q', rook: rf});
+  }
+  return moves;
+}
+
+// the file of the rook a castling right belongs to: KQkq mean the outermost rook on that side
+// of the king (a or h in normal chess), file letters name it directly
+function castlingRookFile(boardState, right) {
+  if (!'KQkq'.includes(right)) return right.toLowerCase().charCodeAt(0) - 97;
+  const isWhite = right === right.toUpperCase();
+  const row = boardState[isWhite ? 7 : 0];
+  const kingside = right.toLowerCase() === 'k';
+  const kingFile = row.indexOf(isWhite ? 'K' : 'k');
+  const files = kingside ? [7,6,5,4,3,2,1,0] : [0,1,2,3,4,5,6,7];
+  const rf = files.find(f => (kingside ? f > kingFile : f < kingFile) && row[f] === (isWhite ? 'R' : 'r'));
+  return rf !== undefined ? rf : (kingside ? 7 : 0);
+}
+
+function generateLegalMoves(boardState, side, castling = '', ep = null) {
+  return generateMovesForSide(boardState, side, castling, ep)
+    .filter(mv => !isInCheck(makeMoveOnBoard(boardState, mv), side));
+}
+
+function makeMoveOnBoard(b, move) {
+  const nb = cloneBoard(b);
+  const [fr,fc] = move.from;
+  const [tr,tc] = move.to;
+  const piece = nb[fr][fc];
+  if (move.castle) {
+    // lift both pieces first: in Chess960 either may land where the other stood
+    const rookFrom = move.rook !== undefined ? move.rook : (move.castle === 'k' ? 7 : 0);
+    const rook = nb[fr][rookFrom];
+    nb[fr][fc] = '.';
+    nb[fr][rookFrom] = '.';
+    nb[fr][move.castle === 'k' ? 6 : 2] = piece;
+    nb[fr][move.castle === 'k' ? 5 : 3] = rook;
+    return nb;
+  }
+  nb[tr][tc] = move.promotion ? (pieceColor(piece) === 'w' ? move.promotion.toUpperCase() : move.promotion) : piece;
+  nb[fr][fc] = '.';
+  // en passant removes the pawn that stands beside the mover, not on the target square
+  if (move.enPassant) nb[fr][tc] = '.';
+  return nb;
+}
+
+function findKing(boardState, side) {
+  const king = side === 'w' ? 'K' : 'k';
+  for (let r=0;r<8;r++) for (let c=0;c<8;c++) if (boardState[r][c] === king) return [r,c];
+  return null;
+}
+
+function isInCheck(boardState, side) {
+  const k = findKing(boardState, side);
+  return !!k && isSquareAttacked(boardState, k[0], k[1], side === 'w' ? 'b' : 'w');
+}
+
+function isSquareAttacked(boardState, r, c, bySide) {
+  const has = (rr, cc, types) => inRange(rr) && inRange(cc) && boardState[rr][cc] !== '.' &&
+    pieceColor(boardState[rr][cc]) === bySide && types.includes(boardState[rr][cc].toLowerCase());
+  // an attacking pawn stands one rank behind the square, from its own side's view
+  const pr = bySide === 'w' ? r + 1 : r - 1;
+  if (has(pr, c-1, 'p') || has(pr, c+1, 'p')) return true;
+  if (KNIGHT_DELTAS.some(d => has(r+d[0], c+d[1], 'n'))) return true;
+  if (KING_DELTAS.some(d => has(r+d[0], c+d[1], 'k'))) return true;
+  const rays = [[DIAGONALS, 'bq'], [ORTHOGONALS, 'rq']];
+  for (const [dirs, types] of rays) {
+    for (const d of dirs) {
+      let rr = r+d[0], cc = c+d[1];
+      while (inRange(rr) && inRange(cc) && boardState[rr][cc] === '.') { rr += d[0]; cc += d[1]; }
+      if (has(rr, cc, types)) return true;
+    }
+  }
+  return false;
+}
+
+// rights left after `mv` is played on `boardState`: a king move gives up both of its side's,
+// and a rook leaving or being captured on its square gives up that one
+function updateCastlingRights(castling, mv, boardState) {
+  const piece = boardState[mv.from[0]][mv.from[1]];
+  return castling.split('').filter(right => {
+    const isWhite = right === right.toUpperCase();
+    if (piece === (isWhite ? 'K' : 'k')) return false;
+    const home = isWhite ? 7 : 0;
+    const rf = castlingRookFile(boardState, right);
+    return ![mv.from, mv.to].some(([r,c]) => r === home && c === rf);
+  }).join('');
+}
+
+function enPassantTarget(piece, mv) {
+  if (piece.toLowerCase() !== 'p' || Math.abs(mv.to[0] - mv.from[0]) !== 2) return null;
+  return [(mv.from[0] + mv.to[0]) / 2, mv.from[1]];
+}
+
+// A position may also carry `variant` and, in Three-check, `checks` given so far ({w, b});
+// both are passed on, and a check just given is counted.
+function positionAfterMove(pos, mv) {
+  const piece = pos.board[mv.from[0]][mv.from[1]];
+  const next = {
+    board: makeMoveOnBoard(pos.board, mv),
+    side: pos.side === 'w' ? 'b' : 'w',
+    castling: updateCastlingRights(pos.castling, mv, pos.board),
+    ep: enPassantTarget(piece, mv)
+  };
+  if (pos.variant) next.variant = pos.variant;
+  if (pos.checks) {
+    next.checks = {...pos.checks};
+    if (isInCheck(next.board, next.side)) next.checks[pos.side]++;
+  }
+  return next;
+}
+
+// repetition key: placement, side, castling rights, and the en passant square only when the capture is actually possible
+// (and the checks given, in Three-check)
+function positionKeyOf(pos) {
+  const epMatters = pos.ep && generateLegalMoves(pos.board, pos.side, '', pos.ep).some(m => m.enPassant);
+  const checks = pos.checks ? ` ${pos.checks.w}+${pos.checks.b}` : '';
+  return `${pos.board.map(r => r.join('')).join('/')} ${pos.side} ${pos.castling} ${epMatters ? pos.ep.join(',') : '-'}${checks}`;
+}
+
+/* ---------- Variants ----------
+   Chess960 shuffles the back rank and castles to the usual squares from wherever king and rook
+   stand. King of the Hill is also won by bringing the king to d4, e4, d5 or e5, and Three-check
+   by giving a third check. Otherwise the rules are the normal ones.
+------------------------------------------------------------------ */
+
+const VARIANTS = {standard: 'Standard', chess960: 'Chess960', kingOfTheHill: 'King of the Hill', threeCheck: 'Three-check'};
+const HILL = ['3,3', '3,4', '4,3', '4,4'];
+const CHECKS_TO_WIN = 3;
+
+// Back rank of Chess960 start position `n` (0-959) in Scharnagl's numbering; 518 is the normal one
+function chess960BackRank(n) {
+  const rank = Array(8).fill('');
+  const free = () => rank.map((p, i) => p ? -1 : i).filter(i => i >= 0);
+  rank[(n % 4) * 2 + 1] = 'b';
+  n = Math.floor(n / 4);
+  rank[(n % 4) * 2] = 'b';
+  n = Math.floor(n / 4);
+  rank[free()[n % 6]] = 'q';
+  n = Math.floor(n / 6);
+  const knights = [[0,1],[0,2],[0,3],[0,4],[1,2],[1,3],[1,4],[2,3],[2,4],[3,4]][n];
+  const f = free();
+  rank[f[knights[0]]] = 'n';
+  rank[f[knights[1]]] = 'n';
+  // the king always stands between the rooks
+  const [r1, k, r2] = free();
+  rank[r1] = 'r';
+  rank[k] = 'k';
+  rank[r2] = 'r';
+  return rank.join('');
+}
+
+// the start FEN of Chess960 position `n`, castling rights as the rooks' files
+function chess960Fen(n) {
+  const back = chess960BackRank(n);
+  const rooks = [back.lastIndexOf('r'), back.indexOf('r')].map(f => 'abcdefgh'[f]).join('');
+  return `${back}/pppppppp/8/8/8/8/PPPPPPPP/${back.toUpperCase()} w ${rooks.toUpperCase()}${rooks} - 0 1`;
+}
+
+// A Chess960 position's castling rights as the rooks' files. X-FEN writes them as KQkq, each the
+// outermost rook on that side of the king wherever the king stands; file letters are kept.
+function chess960Castling(boardState, castling) {
+  return castling.split('').map((right) => {
+    if (!'KQkq'.includes(right)) return right;
+    const file = 'abcdefgh'[castlingRookFile(boardState, right)];
+    return right === right.toUpperCase() ? file.toUpperCase() : file;
+  }).join('');
+}
+
+// the side that has won by its variant's own goal, or null (mate and draws are decided as usual)
+function variantWinner(pos) {
+  if (pos.variant === 'kingOfTheHill') {
+    for (const side of ['w', 'b']) {
+      const k = findKing(pos.board, side);
+      if (k && HILL.includes(k.join(','))) return side;
+    }
+  }
+  if (pos.variant === 'threeCheck' && pos.checks) {
+    if (pos.checks.w >= CHECKS_TO_WIN) return 'w';
+    if (pos.checks.b >= CHECKS_TO_WIN) return 'b';
+  }
+  return null;
+}
+
+// Neither side can win any more: King of the Hill never gets there (a bare king can still walk
+// to the centre), Three-check only with bare kings (anything else can still give check)
+function isVariantDeadDraw(pos) {
+  if (pos.variant === 'kingOfTheHill') return false;
+  if (pos.variant === 'threeCheck') return pos.board.flat().every(p => p === '.' || p.toLowerCase() === 'k');
+  return isInsufficientMaterial(pos.board);
+}
+
+// whether `side` could still win, which decides if the other side running out of time loses or draws
+function canStillWin(pos, side) {
+  if (pos.variant === 'kingOfTheHill') return true;
+  if (pos.variant === 'threeCheck') return pos.board.flat().some(p => p !== '.' && p.toLowerCase() !== 'k' && pieceColor(p) === side);
+  return hasMatingMaterial(pos.board, side);
+}
+
+/* ---------- Material draws ---------- */
+
+function isInsufficientMaterial(boardState) {
+  const minors = [];
+  for (let r=0;r<8;r++) for (let c=0;c<8;c++){
+    const p = boardState[r][c];
+    if (p === '.' || p.toLowerCase() === 'k') continue;
+    if ('pqr'.includes(p.toLowerCase())) return false;
+    minors.push({type: p.toLowerCase(), shade: (r + c) % 2});
+  }
+  // a lone minor piece can't mate; neither can bishops that all live on one colour
+  if (minors.length <= 1) return true;
+  return minors.every(m => m.type === 'b' && m.shade === minors[0].shade);
+}
+
+// can `side` still mate at all? Decides whether running out of time loses or draws
+function hasMatingMaterial(boardState, side) {
+  const pieces = boardState.flat().filter(p => p !== '.' && p.toLowerCase() !== 'k');
+  const own = pieces.filter(p => pieceColor(p) === side);
+  if (own.some(p => 'pqr'.includes(p.toLowerCase()))) return true;
+  // two minors can mate; a lone one only with enemy pieces around to hem the king in
+  return own.length >= 2 || (own.length === 1 && pieces.length > 1);
+}
+
+/* ---------- Game end ---------- */
+
+// How the game stands once `pos` is reached: {result, reason}, or null while it goes on. `keys`
+// are the repetition keys (positionKeyOf) of every position so far, this one last, and
+// `halfmoveClock` counts the plies since the last capture or pawn move.
+function gameResultOf(pos, keys, halfmoveClock) {
+  const won = variantWinner(pos);
+  if (won) return {result: won === 'w' ? '1-0' : '0-1', reason: pos.variant};
+  if (!generateLegalMoves(pos.board, pos.side, pos.castling, pos.ep).length) {
+    if (isInCheck(pos.board, pos.side)) return {result: pos.side === 'w' ? '0-1' : '1-0', reason: 'checkmate'};
+    return {result: '1/2-1/2', reason: 'stalemate'};
+  }
+  const key = keys[keys.length - 1];
+  if (keys.filter(k => k === key).length >= 3) return {result: '1/2-1/2', reason: 'threefold'};
+  if (halfmoveClock >= 100) return {result: '1/2-1/2', reason: 'fifty-move'};
+  if (isVariantDeadDraw(pos)) return {result: '1/2-1/2', reason: 'insufficient'};
+  return null;
+}
+
+/* ---------- Notation: squares, SAN and FEN ---------- */
+
+function squareName(r, c) {
+  return 'abcdefgh'[c] + (8 - r);
+}
+
+function parseSquare(name) {
+  if (!/^[a-h][1-8]$/.test(name)) return null;
+  return [8 - +name[1], name.charCodeAt(0) - 97];
+}
+
+// standard algebraic notation for a legal move in `pos`, with +/# suffix
+function moveToSan(pos, mv) {
+  const piece = pos.board[mv.from[0]][mv.from[1]];
+  const t = piece.toLowerCase();
+  let san;
+  if (mv.castle) {
+    san = mv.castle === 'k' ? 'O-O' : 'O-O-O';
+  } else {
+    const capture = mv.enPassant || pos.board[mv.to[0]][mv.to[1]] !== '.';
+    const to = squareName(mv.to[0], mv.to[1]);
+    const from = squareName(mv.from[0], mv.from[1]);
+    if (t === 'p') {
+      san = (capture ? from[0] + 'x' : '') + to + (mv.promotion ? '=' + mv.promotion.toUpperCase() : '');
+    } else {
+      // disambiguate between identical pieces that can reach the same square
+      const rivals = generateLegalMoves(pos.board, pos.side, pos.castling, pos.ep).filter(m =>
+        m.to[0] === mv.to[0] && m.to[1] === mv.to[1] && pos.board[m.from[0]][m.from[1]] === piece &&
+        (m.from[0] !== mv.from[0] || m.from[1] !== mv.from[1]));
+      let dis = '';
+      if (rivals.length) {
+        if (!rivals.some(m => m.from[1] === mv.from[1])) dis = from[0];
+        else if (!rivals.some(m => m.from[0] === mv.from[0])) dis = from[1];
+        else dis = from;
+      }
+      san = t.toUpperCase() + dis + (capture ? 'x' : '') + to;
+    }
+  }
+  const next = positionAfterMove(pos, mv);
+  if (isInCheck(next.board, next.side)) {
+    san += generateLegalMoves(next.board, next.side, next.castling, next.ep).length ? '+' : '#';
+  }
+  return san;
+}
+
+// finds the legal move in `pos` written as `san`; tolerant of annotations, 0-0 and a missing "="
+function sanToMove(pos, san) {
+  const clean = s => s.replace(/[+#!?]+$/, '').replace(/0/g, 'O').replace('=', '').replace(/e\.?p\.?$/, '');
+  const wanted = clean(san.trim());
+  return generateLegalMoves(pos.board, pos.side, pos.castling, pos.ep)
+    .find(mv => clean(moveToSan(pos, mv)) === wanted) || null;
+}
+
+function boardToFen(b, side, castling, ep, halfmove, fullmove) {
+  const placement = b.map(row => row.join('').replace(/\.+/g, m => m.length)).join('/');
+  return `${placement} ${side} ${castling || '-'} ${ep ? squareName(ep[0], ep[1]) : '-'} ${halfmove} ${fullmove}`;
+}
+
+// parses and sanity-checks a FEN; throws an Error describing the first problem found
+function parseFen(fen) {
+  const fields = fen.trim().split(/\s+/);
+  if (fields.length !== 4 && fields.length !== 6) throw new Error('FEN needs 6 fields (or 4 without the move counters)');
+  const [placement, side, castling, ep, halfmove = '0', fullmove = '1'] = fields;
+  const rows = placement.split('/');
+  if (rows.length !== 8) throw new Error('FEN board must have 8 ranks');
+  const b = rows.map((row, i) => {
+    if (!/^[pnbrqkPNBRQK1-8]+$/.test(row)) throw new Error(`Bad character in rank ${8 - i}`);
+    const cells = row.replace(/[1-8]/g, d => '.'.repeat(+d)).split('');
+    if (cells.length !== 8) throw new Error(`Rank ${8 - i} does not have 8 squares`);
+    return cells;
+  });
+  const count = p => b.flat().filter(x => x === p).length;
+  if (count('K') !== 1 || count('k') !== 1) throw new Error('Each side needs exactly one king');
+  if (b[0].concat(b[7]).some(p => p.toLowerCase() === 'p')) throw new Error('Pawns cannot stand on the first or last rank');
+  if (side !== 'w' && side !== 'b') throw new Error('Side to move must be "w" or "b"');
+  // KQkq, or the rooks' files for Chess960 (Shredder-FEN)
+  if (!/^(-|[KQA-H]{0,2}[kqa-h]{0,2})$/.test(castling)) throw new Error(`Bad castling field "${castling}"`);
+  if (ep !== '-' && !/^[a-h][36]$/.test(ep)) throw new Error(`Bad en passant square "${ep}"`);
+  if (!/^\d+$/.test(halfmove) || !/^\d+$/.test(fullmove) || +fullmove < 1) throw new Error('Bad move counters');
+  if (isInCheck(b, side === 'w' ? 'b' : 'w')) throw new Error('The side not to move is in check');
+  return {
+    board: b, side, castling: castling === '-' ? '' : castling, ep: ep === '-' ? null : parseSquare(ep),
+    halfmove: +halfmove, fullmove: +fullmove
+  };
+}
+
+/* ---------- PGN ---------- */
+
+// splits a PGN into its tag pairs and bare SAN tokens (comments, variations and NAGs dropped)
+function parsePgn(text) {
+  const tags = {};
+  const body = text.replace(/^\s*\[(\w+)\s+"((?:[^"\\]|\\.)*)"\]\s*$/gm, (m, key, value) => {
+    tags[key] = value.replace(/\\(.)/g, '$1');
+    return '';
+  });
+  let movetext = body.replace(/\{[^}]*\}/g, ' ').replace(/;[^\n]*/g, ' ').replace(/\$\d+/g, ' ');
+  // strip (possibly nested) variations from the inside out
+  while (/\([^()]*\)/.test(movetext)) movetext = movetext.replace(/\([^()]*\)/g, ' ');
+  const tokens = movetext.split(/\s+/).map(tok => tok.replace(/^\d+\.+/, '')).filter(Boolean);
+  const isResult = tok => /^(1-0|0-1|1\/2-1\/2|\*)$/.test(tok);
+  // the game termination marker stands in for a missing Result tag
+  const termination = tokens.find(isResult);
+  if (!tags.Result && termination && termination !== '*') tags.Result = termination;
+  return {tags, sans: tokens.filter(tok => !isResult(tok))};
+}
+
+// Replays a PGN: {tags, variant, start, moves}, `start` the position before the first of `moves`.
+// Throws an Error on a bad FEN tag, an unknown Variant or the first move that isn't legal.
+function readPgn(text) {
+  const {tags, sans} = parsePgn(text);
+  const start = parseFen(tags.FEN || START_FEN);
+  // a game without a Variant tag is normal chess
+  const named = (tags.Variant || VARIANTS.standard).toLowerCase();
+  const variant = Object.keys(VARIANTS).find(k => VARIANTS[k].toLowerCase() === named);
+  if (!variant) throw new Error(`Unknown variant "${tags.Variant}"`);
+  if (variant === 'chess960') start.castling = chess960Castling(start.board, start.castling);
+  let pos = {board: start.board, side: start.side, castling: start.castling, ep: start.ep};
+  const moves = sans.map((san, i) => {
+    const mv = sanToMove(pos, san);
+    if (!mv) throw new Error(`Illegal or unreadable move "${san}" (ply ${i + 1})`);
+    pos = positionAfterMove(pos, mv);
+    return mv;
+  });
+  return {tags, variant, start, moves};
+}
+
+// PGN text for `sans` played from the FEN tag (or the normal start), numbered from its counters;
+// the Result tag ends the movetext, "*" without one
+function formatPgn(tags, sans) {
+  const header = Object.entries(tags).map(([k, v]) => `[${k} "${String(v).replace(/[\\"]/g, '\\$&')}"]`).join('\n');
+  const fields = (tags.FEN || START_FEN).split(/\s+/);
+  const blackFirst = fields[1] === 'b';
+  const firstNumber = +(fields[5] || 1);
+  const tokens = [];
+  sans.forEach((san, i) => {
+    const slot = i + (blackFirst ? 1 : 0);
+    const num = firstNumber + Math.floor(slot / 2);
+    if (slot % 2 === 0) tokens.push(`${num}.`);
+    else if (i === 0) tokens.push(`${num}...`);
+    tokens.push(san);
+  });
+  tokens.push(tags.Result || '*');
+  // wrap movetext at 80 columns as the PGN spec suggests
+  const lines = [''];
+  tokens.forEach(tok => {
+    const last = lines[lines.length - 1];
+    if (last && last.length + tok.length + 1 > 80) lines.push(tok);
+    else lines[lines.length - 1] = last ? `${last} ${tok}` : tok;
+  });
+  return `${header}\n\n${lines.join('\n')}\n`;
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = {
+    START_FEN, VARIANTS, generateLegalMoves, makeMoveOnBoard, isInCheck, isInsufficientMaterial, positionAfterMove,
+    positionKeyOf, squareName, parseSquare, moveToSan, sanToMove, boardToFen, parseFen, chess960Fen, chess960Castling, variantWinner,
+    isVariantDeadDraw, canStillWin, gameResultOf, parsePgn, readPgn, formatPgn
+  };
+}
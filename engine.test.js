@@ -0,0 +1,283 @@
+// Chess Introvert - engine.test.js
+// Run with `node --test`. engine.js is a plain script for the page and the AI worker; required
+// here through its CommonJS export.
+const test = require('node:test');
+const assert = require('node:assert');
+const engine = require('./engine');
+
+const { parseFen, generateLegalMoves, positionAfterMove, positionKeyOf, sanToMove, gameResultOf } = engine;
+
+// leaf nodes of the legal move tree `depth` plies deep
+function perft(pos, depth) {
+  const moves = generateLegalMoves(pos.board, pos.side, pos.castling, pos.ep);
+  if (depth === 1) return moves.length;
+  return moves.reduce((sum, mv) => sum + perft(positionAfterMove(pos, mv), depth - 1), 0);
+}
+
+// plays SAN moves from a FEN; returns the final position with the repetition keys and half-move clock
+function playSans(fen, sans, extra = {}) {
+  let pos = { ...parseFen(fen), ...extra };
+  const keys = [positionKeyOf(pos)];
+  let halfmove = pos.halfmove;
+  for (const san of sans) {
+    const mv = sanToMove(pos, san);
+    assert.ok(mv, `${san} should be legal`);
+    const piece = pos.board[mv.from[0]][mv.from[1]].toLowerCase();
+    const capture = mv.enPassant || (!mv.castle && pos.board[mv.to[0]][mv.to[1]] !== '.');
+    halfmove = piece === 'p' || capture ? 0 : halfmove + 1;
+    pos = positionAfterMove(pos, mv);
+    keys.push(positionKeyOf(pos));
+  }
+  return { pos, keys, halfmove };
+}
+
+function resultAfter(fen, sans, extra) {
+  const { pos, keys, halfmove } = playSans(fen, sans, extra);
+  return gameResultOf(pos, keys, halfmove);
+}
+
+/* ---------- Move generation ---------- */
+
+// the usual perft suite (chessprogramming.org), kept shallow enough to run in a second or two
+const PERFT = [
+  [engine.START_FEN, [20, 400, 8902]],
+  ['r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1', [48, 2039]],
+  ['8/2p5/3p4/KP5r/1R3p1k/8/4P1P1/8 w - - 0 1', [14, 191, 2812]],
+  ['r3k2r/Pppp1ppp/1b3nbN/nP6/BBP1P3/q4N2/Pp1P2PP/R2Q1RK1 w kq - 0 1', [6, 264]],
+  ['rnbq1k1r/pp1Pbppp/2p5/8/2B5/8/PPP1NnPP/RNBQK2R w KQ - 1 8', [44, 1486]],
+  // Chess960, castling rights as rook files
+  ['bqnb1rkr/pp3ppp/3ppn2/2p5/5P2/P2P4/NPP1P1PP/BQ1BNRKR w HFhf - 2 9', [21, 528]],
+  ['2nnrbkr/p1qppppp/8/1ppb4/6PP/3PP3/PPP2P2/BQNNRBKR w HEhe - 1 9', [21, 807]]
+];
+
+for (const [fen, counts] of PERFT) {
+  test(`perft ${fen}`, () => {
+    const pos = parseFen(fen);
+    counts.forEach((count, i) => assert.strictEqual(perft(pos, i + 1), count, `depth ${i + 1}`));
+  });
+}
+
+test('a pinned piece may not leave the line of the pin', () => {
+  const pos = parseFen('4k3/4r3/8/8/8/8/4N3/4K3 w - - 0 1');
+  const knightMoves = generateLegalMoves(pos.board, pos.side, pos.castling, pos.ep).filter(mv => mv.from[0] === 6);
+  assert.deepStrictEqual(knightMoves, []);
+});
+
+test('castling is refused through an attacked square', () => {
+  const pos = parseFen('4k3/8/8/8/8/8/5r2/R3K2R w KQ - 0 1');
+  const castles = generateLegalMoves(pos.board, pos.side, pos.castling, pos.ep).filter(mv => mv.castle);
+  assert.deepStrictEqual(castles.map(mv => mv.castle), ['q']);
+});
+
+/* ---------- Game end ---------- */
+
+test('checkmate is a win for the side that gave it', () => {
+  assert.deepStrictEqual(resultAfter(engine.START_FEN, ['f3', 'e5', 'g4', 'Qh4#']), { result: '0-1', reason: 'checkmate' });
+});
+
+test('a side with no moves and not in check is stalemated', () => {
+  assert.deepStrictEqual(resultAfter('7k/5Q2/6K1/8/8/8/8/8 b - - 0 1', []), { result: '1/2-1/2', reason: 'stalemate' });
+});
+
+test('the third time a position is reached draws', () => {
+  const shuffle = ['Nf3', 'Nf6', 'Ng1', 'Ng8'];
+  assert.strictEqual(resultAfter(engine.START_FEN, shuffle), null);
+  assert.deepStrictEqual(resultAfter(engine.START_FEN, [...shuffle, ...shuffle]), { result: '1/2-1/2', reason: 'threefold' });
+});
+
+test('a hundred plies without a capture or pawn move draw', () => {
+  assert.strictEqual(resultAfter('4k3/8/8/8/8/8/8/R3K3 w - - 98 60', ['Ra2']), null);
+  assert.deepStrictEqual(resultAfter('4k3/8/8/8/8/8/8/R3K3 w - - 98 60', ['Ra2', 'Kd8']), { result: '1/2-1/2', reason: 'fifty-move' });
+});
+
+test('insufficient material draws, but not with mating material left', () => {
+  const draws = ['4k3/8/8/8/8/8/8/4K3 w - - 0 1', '4k3/8/8/8/8/8/8/4KN2 w - - 0 1', '4kb2/8/8/8/8/8/8/2B1K3 w - - 0 1'];
+  for (const fen of draws) assert.deepStrictEqual(resultAfter(fen, []), { result: '1/2-1/2', reason: 'insufficient' }, fen);
+  const playable = ['4k3/8/8/8/8/8/8/3BKN2 w - - 0 1', '4kb2/8/8/8/8/8/8/3BK3 w - - 0 1', '4k3/8/8/8/8/8/4P3/4K3 w - - 0 1'];
+  for (const fen of playable) assert.strictEqual(resultAfter(fen, []), null, fen);
+});
+
+test('King of the Hill is won on the centre squares, and never drawn on material', () => {
+  const koth = { variant: 'kingOfTheHill' };
+  assert.strictEqual(resultAfter('4k3/8/8/8/8/4K3/8/8 w - - 0 1', [], koth), null);
+  assert.deepStrictEqual(resultAfter('4k3/8/8/8/8/4K3/8/8 w - - 0 1', ['Ke4'], koth), { result: '1-0', reason: 'kingOfTheHill' });
+});
+
+test('Three-check is won by the third check, and drawn only with bare kings', () => {
+  const threeCheck = { variant: 'threeCheck', checks: { w: 2, b: 0 } };
+  assert.deepStrictEqual(resultAfter('4k3/8/8/8/8/8/8/R3K3 w - - 0 1', ['Ra8+'], threeCheck), { result: '1-0', reason: 'threeCheck' });
+  assert.strictEqual(resultAfter('4k3/8/8/8/8/8/8/4KN2 w - - 0 1', [], threeCheck), null);
+  assert.deepStrictEqual(resultAfter('4k3/8/8/8/8/8/8/4K3 w - - 0 1', [], threeCheck), { result: '1/2-1/2', reason: 'insufficient' });
+});
+
+/* ---------- SAN ---------- */
+
+// the SAN of the legal move `uci` ("g1f3", "e7e8q") in `fen`
+function sanOf(fen, uci) {
+  const pos = parseFen(fen);
+  const mv = generateLegalMoves(pos.board, pos.side, pos.castling, pos.ep).find(m =>
+    engine.squareName(...m.from) + engine.squareName(...m.to) + (m.promotion || '') === uci);
+  assert.ok(mv, `${uci} should be legal`);
+  return engine.moveToSan(pos, mv);
+}
+
+// the move `san` stands for in `fen`, as UCI, or null
+function uciOf(fen, san) {
+  const mv = sanToMove(parseFen(fen), san);
+  return mv && engine.squareName(...mv.from) + engine.squareName(...mv.to) + (mv.promotion || '');
+}
+
+test('knights that can reach the same square are told apart by file, then rank, then both', () => {
+  const byFile = '4k3/8/8/8/8/8/8/1N2KN2 w - - 0 1';
+  assert.strictEqual(sanOf(byFile, 'b1d2'), 'Nbd2');
+  assert.strictEqual(sanOf(byFile, 'f1d2'), 'Nfd2');
+  assert.strictEqual(uciOf(byFile, 'Nfd2'), 'f1d2');
+  assert.strictEqual(uciOf(byFile, 'Nd2'), null);
+  const byRank = '4k3/8/8/8/5N2/8/5N2/4K3 w - - 0 1';
+  assert.strictEqual(sanOf(byRank, 'f4d3'), 'N4d3');
+  assert.strictEqual(uciOf(byRank, 'N2d3'), 'f2d3');
+  const bySquare = '4k3/8/8/8/1N3N2/8/5N2/4K3 w - - 0 1';
+  assert.strictEqual(sanOf(bySquare, 'f4d3'), 'Nf4d3');
+  assert.strictEqual(sanOf(bySquare, 'b4d3'), 'Nbd3');
+  assert.strictEqual(sanOf(bySquare, 'f2d3'), 'N2d3');
+});
+
+test('rooks are told apart like knights, and a pinned rival needs no disambiguation', () => {
+  const sameFile = '4k3/8/8/R7/8/8/8/R3K3 w - - 0 1';
+  assert.strictEqual(sanOf(sameFile, 'a1a3'), 'R1a3');
+  assert.strictEqual(sanOf(sameFile, 'a5a3'), 'R5a3');
+  assert.strictEqual(uciOf(sameFile, 'R5a3'), 'a5a3');
+  assert.strictEqual(sanOf('6k1/8/8/8/8/8/K7/R6R w - - 0 1', 'h1d1'), 'Rhd1');
+  // the c3 knight is pinned to the king, so it can't go to e2 as well
+  assert.strictEqual(sanOf('4k3/8/8/b7/8/2N5/8/4K1N1 w - - 0 1', 'g1e2'), 'Ne2');
+});
+
+test('promotions name the piece, with or without "=" when read', () => {
+  const fen = '3r2k1/4P3/8/8/8/8/8/4K3 w - - 0 1';
+  assert.strictEqual(sanOf(fen, 'e7e8q'), 'e8=Q+');
+  assert.strictEqual(sanOf(fen, 'e7e8n'), 'e8=N');
+  assert.strictEqual(sanOf(fen, 'e7d8r'), 'exd8=R+');
+  assert.strictEqual(uciOf(fen, 'e8=N'), 'e7e8n');
+  assert.strictEqual(uciOf(fen, 'exd8Q+'), 'e7d8q');
+  assert.strictEqual(uciOf(fen, 'e8'), null);
+});
+
+test('castling is written O-O and O-O-O, and read from 0-0 as well', () => {
+  const fen = 'r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1';
+  assert.strictEqual(sanOf(fen, 'e1g1'), 'O-O');
+  assert.strictEqual(sanOf(fen, 'e1c1'), 'O-O-O');
+  assert.strictEqual(uciOf(fen, 'O-O'), 'e1g1');
+  assert.strictEqual(uciOf(fen, '0-0-0'), 'e1c1');
+  // Chess960: the king takes its own rook
+  assert.strictEqual(sanOf('4k3/8/8/8/8/8/8/1R2K1R1 w GB - 0 1', 'e1g1'), 'O-O');
+  assert.strictEqual(uciOf('4k3/8/8/8/8/8/8/1R2K1R1 w GB - 0 1', 'O-O-O'), 'e1b1');
+});
+
+test('checks end in + and mates in #, and either suffix or none is accepted when read', () => {
+  assert.strictEqual(sanOf('4k3/8/8/8/8/8/8/R3K3 w - - 0 1', 'a1a8'), 'Ra8+');
+  assert.strictEqual(sanOf('6k1/5ppp/8/8/8/8/8/R3K3 w - - 0 1', 'a1a8'), 'Ra8#');
+  assert.strictEqual(sanOf('4k3/8/8/8/8/8/8/R3K3 w - - 0 1', 'e1f2'), 'Kf2');
+  for (const san of ['Ra8', 'Ra8+', 'Ra8#', 'Ra8!?']) assert.strictEqual(uciOf('6k1/5ppp/8/8/8/8/8/R3K3 w - - 0 1', san), 'a1a8');
+  assert.strictEqual(sanOf('4r1k1/8/8/8/8/8/5PPP/6K1 b - - 0 1', 'e8e1'), 'Re1#');
+  assert.strictEqual(sanOf('rnbqkbnr/pppp1ppp/8/4p3/6P1/5P2/PPPPP2P/RNBQKBNR b KQkq - 0 2', 'd8h4'), 'Qh4#');
+});
+
+test('en passant captures are written as pawn captures', () => {
+  const fen = 'rnbqkbnr/ppp1p1pp/8/3pPp2/8/8/PPPP1PPP/RNBQKBNR w KQkq f6 0 3';
+  assert.strictEqual(sanOf(fen, 'e5f6'), 'exf6');
+  assert.strictEqual(uciOf(fen, 'exf6e.p.'), 'e5f6');
+  assert.strictEqual(uciOf(fen, 'exd6'), null);
+});
+
+/* ---------- FEN ---------- */
+
+test('a FEN reads back to the same FEN', () => {
+  const fens = [
+    engine.START_FEN,
+    'rnbqkbnr/ppp1p1pp/8/3pPp2/8/8/PPPP1PPP/RNBQKBNR w KQkq f6 0 3',
+    'r3k2r/8/8/8/8/8/8/R3K2R b Kq - 13 40',
+    'bqnb1rkr/pp3ppp/3ppn2/2p5/5P2/P2P4/NPP1P1PP/BQ1BNRKR w HFhf - 2 9',
+    '8/8/8/8/8/8/8/K1k5 b - - 0 1'
+  ];
+  for (const fen of fens) {
+    const pos = parseFen(fen);
+    assert.strictEqual(engine.boardToFen(pos.board, pos.side, pos.castling, pos.ep, pos.halfmove, pos.fullmove), fen);
+  }
+});
+
+test('a FEN without move counters starts them at 0 and 1', () => {
+  const pos = parseFen('4k3/8/8/8/8/8/8/4K3 b - -');
+  assert.deepStrictEqual([pos.halfmove, pos.fullmove], [0, 1]);
+});
+
+test('malformed FENs are refused with the reason', () => {
+  const bad = {
+    '': /6 fields/,
+    'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP w KQkq - 0 1': /8 ranks/,
+    'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNX w KQkq - 0 1': /Bad character in rank 1/,
+    'rnbqkbnr/pppppppp/9/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1': /Bad character in rank 6/,
+    'rnbqkbnr/pppppppp/7/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1': /Rank 6 does not have 8 squares/,
+    'rnbqqbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1': /exactly one king/,
+    'P3k3/8/8/8/8/8/8/4K3 w - - 0 1': /first or last rank/,
+    'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR x KQkq - 0 1': /Side to move/,
+    'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkqX - 0 1': /castling field/,
+    'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq e4 0 1': /en passant/,
+    'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 0': /move counters/,
+    'R3k3/8/8/8/8/8/8/4K3 w - - 0 1': /not to move is in check/
+  };
+  for (const [fen, reason] of Object.entries(bad)) assert.throws(() => parseFen(fen), reason, fen);
+});
+
+/* ---------- PGN ---------- */
+
+test('a PGN reads back to the same PGN', () => {
+  const tags = { Event: 'Casual game', White: 'Ann "the rook" \\ Lee', Black: 'AI (Master)', Result: '1-0' };
+  const sans = ['e4', 'e5', 'Bc4', 'Nc6', 'Qh5', 'Nf6', 'Qxf7#'];
+  const pgn = engine.formatPgn(tags, sans);
+  assert.match(pgn, /^\[White "Ann \\"the rook\\" \\\\ Lee"\]$/m);
+  assert.match(pgn, /\n\n1\. e4 e5 2\. Bc4 Nc6 3\. Qh5 Nf6 4\. Qxf7# 1-0\n$/);
+  assert.deepStrictEqual(engine.parsePgn(pgn), { tags, sans });
+  const game = engine.readPgn(pgn);
+  assert.strictEqual(game.variant, 'standard');
+  assert.deepStrictEqual(game.moves.map(mv => [engine.squareName(...mv.from), engine.squareName(...mv.to)]),
+    [['e2', 'e4'], ['e7', 'e5'], ['f1', 'c4'], ['b8', 'c6'], ['d1', 'h5'], ['g8', 'f6'], ['h5', 'f7']]);
+});
+
+test('a PGN from a set-up position numbers its moves from the FEN', () => {
+  const tags = { SetUp: '1', FEN: '4k3/8/8/8/8/8/4P3/4K3 b - - 0 30', Result: '*' };
+  const pgn = engine.formatPgn(tags, ['Kd7', 'e4', 'Kd6']);
+  assert.match(pgn, /\n\n30\.\.\. Kd7 31\. e4 Kd6 \*\n$/);
+  const game = engine.readPgn(pgn);
+  assert.deepStrictEqual([game.start.side, game.start.fullmove, game.moves.length], ['b', 30, 3]);
+});
+
+test('long movetext wraps at 80 columns and still reads back', () => {
+  const shuffle = ['Nf3', 'Nf6', 'Ng1', 'Ng8'];
+  const sans = [].concat(shuffle, shuffle, shuffle, shuffle, shuffle);
+  const pgn = engine.formatPgn({ Result: '*' }, sans);
+  const movetext = pgn.split('\n\n')[1].trimEnd().split('\n');
+  assert.ok(movetext.length > 1);
+  assert.ok(movetext.every(line => line.length <= 80));
+  assert.deepStrictEqual(engine.parsePgn(pgn).sans, sans);
+});
+
+test('comments, variations, NAGs and the termination marker are dropped when reading', () => {
+  const { tags, sans } = engine.parsePgn('1. e4 {best by test} e5 $1 (1... c5 2. Nf3 (2. c3) d6) 2. Nf3 ; a comment\nNc6 0-1');
+  assert.deepStrictEqual(sans, ['e4', 'e5', 'Nf3', 'Nc6']);
+  assert.deepStrictEqual(tags, { Result: '0-1' });
+});
+
+test('a Chess960 PGN reads X-FEN castling rights as rook files', () => {
+  const pgn = '[Variant "Chess960"]\n[FEN "4k3/8/8/8/8/8/8/1R2K1R1 w KQ - 0 1"]\n\n1. O-O *\n';
+  const game = engine.readPgn(pgn);
+  assert.strictEqual(game.variant, 'chess960');
+  assert.strictEqual(game.start.castling, 'GB');
+  assert.deepStrictEqual(game.moves[0], { from: [7, 4], to: [7, 6], castle: 'k', rook: 6 });
+});
+
+test('a PGN that cannot be replayed is refused with the reason', () => {
+  assert.throws(() => engine.readPgn('1. e4 e5 2. Ke3 *'), /Illegal or unreadable move "Ke3" \(ply 3\)/);
+  assert.throws(() => engine.readPgn('1. e4 e5 2. Zz9 *'), /"Zz9"/);
+  assert.throws(() => engine.readPgn('[Variant "Atomic"]\n\n1. e4 *'), /Unknown variant "Atomic"/);
+  assert.throws(() => engine.readPgn('[FEN "not a fen"]\n\n1. e4 *'), /6 fields/);
+});
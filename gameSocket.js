@@ -1,100 +1,1021 @@
+const crypto = require('crypto');
 const { Chess } = require('chess.js');
+const { Chess960 } = require('./chess960');
 const Stockfish = require('stockfish'); // npm install stockfish
+const store = require('./gameStore');
+const profileStore = require('./profileStore');
+const { START_RATING, updateRating } = require('./rating');
+const { bookMove, openingFor } = require('./openingBook');
+const { VARIANTS, parseFen, variantWinner, isVariantDeadDraw, canStillWin } = require('./engine');
+const {
+  TIME_CONTROLS, createClock, pressClock, stopClock, rewindClock, isFlagged, msUntilFlag,
+  clockSnapshot, serializeClock, restoreClock, resumeClock
+} = require('./clock');
 
-const games = {}; // gameId -> Chess instance
-const aiLevels = {
-  1: 1, // Beginner (random)
-  2: 2, // Easy (greedy)
-  3: 3, // Medium (minimax depth 1)
-  4: 4, // Hard (minimax depth 2)
-  5: 5  // Grandmaster (Stockfish full strength)
+// Games untouched for this long are dropped from memory and disk.
+const IDLE_TTL_MS = Number(process.env.GAME_IDLE_TTL_MS) || 24 * 60 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+// How long a disconnected player has to come back before their opponent may claim the win.
+const RECONNECT_GRACE_MS = Number(process.env.RECONNECT_GRACE_MS) || 60 * 1000;
+
+const AI_SEAT = 'ai'; // marks the seat the engine plays in g.players
+const LOBBY_ROOM = 'lobby'; // sockets browsing the game list, kept up to date with `lobby` events
+const PROFILE_HISTORY = 200; // games kept in a profile's history; its record counts them all
+const NAME_MAX = 24;
+
+const games = restoreGames(); // gameId -> { game: Chess (or Chess960) instance, variant, aiLevel, ... }
+const seeks = []; // players waiting for an opponent: { socketId, profileId, timeControl, rating, range }
+// profileId -> { name, token, rating, played, record, history }. The token is the profile's only
+// credential: clients keep it and send it as profileToken to play under that profile.
+const profiles = profileStore.loadProfiles();
+const archive = store.loadArchive(); // archiveId -> summary of a finished game; the PGN stays on disk
+// Hints and the evaluation bar ask the engine at full strength, briefly.
+const ASSIST_LIMITS = { skill: 20, depth: 12, movetime: 500 };
+// A search that hasn't answered by then is given up on; every level's movetime is well under it.
+const ENGINE_TIMEOUT_MS = Number(process.env.ENGINE_TIMEOUT_MS) || 10 * 1000;
+
+// Every level is Stockfish, held back by its Skill Level (0-20), a depth and time limit per move,
+// and a chance of playing a random move instead. It opens from the book for up to bookPlies
+// plies of the game. Ratings are rough guides, not measurements.
+const AI_LEVELS = {
+  1: { name: 'Beginner', rating: 800, skill: 0, depth: 1, movetime: 50, errorChance: 0.35, bookPlies: 2 },
+  2: { name: 'Easy', rating: 1100, skill: 3, depth: 3, movetime: 100, errorChance: 0.2, bookPlies: 4 },
+  3: { name: 'Medium', rating: 1400, skill: 8, depth: 6, movetime: 300, errorChance: 0.1, bookPlies: 8 },
+  4: { name: 'Hard', rating: 1800, skill: 14, depth: 10, movetime: 600, errorChance: 0.03, bookPlies: 12 },
+  5: { name: 'Grandmaster', rating: 2500, skill: 20, depth: 18, movetime: 1500, errorChance: 0, bookPlies: 20 }
+};
+
+// The only things players can say to each other: clients send the id, everyone in the room gets
+// the text. A player may send MESSAGE_LIMIT.count of them per MESSAGE_LIMIT.windowMs.
+const QUICK_MESSAGES = {
+  'good-luck': 'Good luck!',
+  'have-fun': 'Have fun!',
+  'nice-move': 'Nice move',
+  'oops': 'Oops',
+  'thinking': 'Thinking…',
+  'thanks': 'Thanks for the game!',
+  'thumbs-up': '👍',
+  'wow': '😮',
+  'phew': '😅'
+};
+const MESSAGE_LIMIT = { count: 3, windowMs: 10 * 1000 };
+
+// Reason codes for refused requests. A refusal goes to the request's ack callback when the
+// client passed one, otherwise it arrives as a `moveRejected` (moves) or `gameError` event.
+const ERRORS = {
+  bad_request: 'Malformed request',
+  unknown_level: 'No such AI level',
+  unknown_game: 'No game with that ID',
+  not_a_player: 'Only the players in this game can do that',
+  not_your_turn: "It's not your turn",
+  illegal_move: 'Illegal move',
+  game_over: 'The game is already over',
+  nothing_to_undo: 'There is no move of yours to take back',
+  opponent_away: 'Your opponent is not here to answer',
+  no_takeback: 'There is no takeback request to answer',
+  no_draw_offer: 'There is no draw offer to answer',
+  cannot_claim: 'Your opponent can still come back',
+  assists_off: 'Hints and the evaluation bar are off in this game',
+  unknown_time_control: 'No such time control',
+  unknown_message: 'That is not one of the quick messages',
+  too_many_messages: 'Slow down, you are sending messages too quickly',
+  bad_name: `Choose a name of 1 to ${NAME_MAX} characters`,
+  unknown_profile: 'No such player profile',
+  no_profile: 'Rated games need a player profile',
+  rated_game: 'Not allowed in a rated game',
+  unknown_variant: 'Unknown variant',
+  unknown_archived_game: 'No archived game with that ID',
+  engine_failed: 'The engine did not answer, try again'
 };
 
+// PGN Termination tags for the ways a game can end; everything else is "normal"
+const TERMINATIONS = { timeout: 'time forfeit', abandonment: 'abandoned' };
+
 module.exports = (io, socket) => {
-  socket.on('createGame', ({ gameId, aiLevel }) => {
-    const game = new Chess();
-    games[gameId] = { game, aiLevel };
+  socket.on('createGame', (payload, ack) => {
+    const { gameId, aiLevel, color, timeControl, assists, rated, variant, profileToken } = payload || {};
+    if (!gameId) return fail(socket, ack, 'gameError', gameId, 'bad_request');
+    if (aiLevel && !AI_LEVELS[aiLevel]) return fail(socket, ack, 'gameError', gameId, 'unknown_level');
+    if (variant && !VARIANTS[variant]) return fail(socket, ack, 'gameError', gameId, 'unknown_variant');
+    const existing = games[gameId];
+    // an existing game can only be restarted by one of its players, who keep their seats
+    if (existing && !seatOf(existing, socket.id)) return fail(socket, ack, 'gameError', gameId, 'not_a_player');
+    const profile = profileByToken(profileToken);
+    const isRated = rated !== undefined ? !!rated : !!existing && existing.rated;
+    if (isRated && !existing && !profile) return fail(socket, ack, 'gameError', gameId, 'no_profile');
+    // a restart keeps the variant (a new Chess960 start is drawn) unless another is asked for
+    const gameVariant = variant || (existing && existing.variant) || 'standard';
+    // ratings are for standard chess only
+    if (isRated && gameVariant !== 'standard') return fail(socket, ack, 'gameError', gameId, 'rated_game');
+    // walking away from a rated game in progress by restarting it loses it
+    if (existing && existing.rated && !isFinished(existing) && existing.game.history().length) {
+      endGame(io, gameId, { reason: 'resignation', winner: seatOf(existing, socket.id) === 'w' ? 'b' : 'w' });
+    }
+    const level = aiLevel || (existing && existing.aiLevel) || null;
+    // a restart keeps the previous time control unless a new one is asked for
+    const control = timeControl !== undefined ? timeControl : existing && existing.clock && existing.clock.control;
+    // hints and the eval bar are on against the engine and off between people, unless asked
+    // otherwise, and never in rated games
+    const allowAssists = !isRated && (assists !== undefined ? !!assists : existing ? existing.assists : !!level);
+    if (existing) clearTimeout(existing.flagTimer);
+    let players, tokens, seatProfiles;
+    if (existing) {
+      ({ players, tokens, profiles: seatProfiles } = existing);
+    } else {
+      // 'random' settles the creator's colour here; the AI, if any, takes the other side
+      const mine = color === 'b' || (color === 'random' && Math.random() < 0.5) ? 'b' : 'w';
+      players = { w: null, b: null };
+      tokens = { w: null, b: null };
+      seatProfiles = { w: null, b: null };
+      players[mine] = socket.id;
+      tokens[mine] = newToken();
+      seatProfiles[mine] = profile ? profile.profileId : null;
+      if (level) players[mine === 'w' ? 'b' : 'w'] = AI_SEAT;
+    }
+    games[gameId] = newGameState({
+      aiLevel: level, assists: allowAssists, rated: isRated, variant: gameVariant, players, tokens, profiles: seatProfiles, control,
+      away: existing ? existing.away : { w: null, b: null },
+      messagesSent: existing ? existing.messagesSent : { w: [], b: [] },
+      spectators: existing ? existing.spectators : new Set()
+    });
+    const { game } = games[gameId];
+    persist(gameId);
     socket.join(gameId);
-    io.to(gameId).emit('updateBoard', game.fen());
+    const seat = seatOf(games[gameId], socket.id);
+    respond(ack, { ok: true, gameId, color: seat, token: tokens[seat], assists: allowAssists, rated: isRated, fen: game.fen() });
+    io.to(socket.id).emit('seat', { gameId, color: seat, token: tokens[seat], assists: allowAssists, rated: isRated });
+    broadcastBoard(io, gameId);
+    io.to(gameId).emit('players', playersSummary(games[gameId]));
+    announceLobby(io);
+    playAIMove(io, gameId);
   });
 
-  socket.on('joinGame', ({ gameId }) => {
-    if (!games[gameId]) return;
+  // Joining hands out the first free seat, otherwise a spectator place. Joining a game
+  // you're already in just repeats your seat, so clients can use it to resync. A seat's
+  // reconnect token (handed out with the seat) gets its holder back into it from any connection.
+  socket.on('joinGame', (payload, ack) => {
+    const { gameId, token, profileToken } = payload || {};
+    const g = games[gameId];
+    if (!g) return fail(socket, ack, 'gameError', gameId, 'unknown_game');
     socket.join(gameId);
-    io.to(socket.id).emit('updateBoard', games[gameId].game.fen());
+    const color = takeSeat(g, socket.id, token);
+    // a seat plays under the first profile it is taken with
+    const profile = profileByToken(profileToken);
+    if (color && profile && !g.profiles[color]) g.profiles[color] = profile.profileId;
+    touch(gameId);
+    // a clock saved mid-game across a server restart waits for a player to come back
+    if (color && g.clock && g.clock.paused) {
+      resumeClock(g.clock);
+      armFlag(io, gameId);
+    }
+    const seatToken = color ? g.tokens[color] : null;
+    respond(ack, { ok: true, color, token: seatToken, assists: g.assists, rated: g.rated, ...boardState(gameId), moves: g.game.history() });
+    io.to(socket.id).emit('seat', { gameId, color, token: seatToken, assists: g.assists, rated: g.rated });
+    io.to(socket.id).emit('updateBoard', boardState(gameId));
+    // offers made to this seat while it was away are still waiting for an answer
+    const opponent = color === 'w' ? 'b' : 'w';
+    if (color && g.takeback === opponent) io.to(socket.id).emit('takebackRequested', { gameId, by: opponent });
+    if (color && g.drawOffer === opponent) io.to(socket.id).emit('drawOffered', { gameId, by: opponent });
+    io.to(gameId).emit('players', playersSummary(g));
+    announceLobby(io);
+  });
+
+  // The games that are still going, for the lobby. Asking also subscribes to `lobby` updates
+  // until `leaveLobby`.
+  socket.on('listGames', (payload, ack) => {
+    socket.join(LOBBY_ROOM);
+    respond(ack, { ok: true, games: lobbyGames() });
+  });
+
+  socket.on('leaveLobby', () => {
+    socket.leave(LOBBY_ROOM);
+  });
+
+  // Queue for an opponent with the same time control whose rating is within `range` of ours,
+  // and ours within theirs (a null range takes anyone). Players with a profile are matched on
+  // its rating, others on the one they state. A match starts a game straight away: both players
+  // get `matchFound` with their seat and take it with joinGame.
+  socket.on('findOpponent', (payload, ack) => {
+    const { timeControl = null, range = null, profileToken } = payload || {};
+    const profile = profileByToken(profileToken);
+    const rating = profile ? profile.rating : payload && payload.rating !== undefined ? payload.rating : START_RATING;
+    if (timeControl && !TIME_CONTROLS[timeControl]) return fail(socket, ack, 'gameError', null, 'unknown_time_control');
+    if (!Number.isFinite(rating) || (range !== null && !(range >= 0))) return fail(socket, ack, 'gameError', null, 'bad_request');
+    removeSeek(socket.id);
+    const seek = { socketId: socket.id, profileId: profile ? profile.profileId : null, timeControl: timeControl || null, rating, range };
+    const match = seeks.find(other => seeksMatch(seek, other));
+    if (!match) {
+      seeks.push(seek);
+      return respond(ack, { ok: true, queued: true });
+    }
+    removeSeek(match.socketId);
+    const gameId = startMatch(io, match, seek);
+    respond(ack, { ok: true, queued: false, gameId });
+  });
+
+  socket.on('cancelSeek', (payload, ack) => {
+    removeSeek(socket.id);
+    respond(ack, { ok: true });
+  });
+
+  // A profile is just a name and a rating; the reply's token is what plays under it.
+  socket.on('createProfile', (payload, ack) => {
+    const name = String((payload && payload.name) || '').trim();
+    if (!name || name.length > NAME_MAX) return fail(socket, ack, 'gameError', null, 'bad_name');
+    const profileId = newProfileId();
+    profiles[profileId] = {
+      profileId, name, token: newToken(), rating: START_RATING, played: 0, record: {}, history: [], createdAt: Date.now()
+    };
+    saveProfile(profileId);
+    respond(ack, { ok: true, token: profiles[profileId].token, profile: publicProfile(profiles[profileId]) });
+  });
+
+  // Finished games, newest first; with a profileId, only the ones that profile played.
+  socket.on('listArchive', (payload, ack) => {
+    const { profileId = null, limit = 50 } = payload || {};
+    const games = Object.values(archive)
+      .filter(summary => !profileId || summary.profiles.w === profileId || summary.profiles.b === profileId)
+      .sort((a, b) => b.endedAt - a.endedAt)
+      .slice(0, Math.min(Math.max(1, Number(limit) || 50), 200));
+    respond(ack, { ok: true, games });
+  });
+
+  // One finished game with its PGN, for replaying.
+  socket.on('getArchivedGame', async (payload, ack) => {
+    const { archiveId } = payload || {};
+    const record = archive[archiveId] ? await store.loadArchivedGame(archiveId) : null;
+    if (!record) return fail(socket, ack, 'gameError', null, 'unknown_archived_game');
+    respond(ack, { ok: true, game: record });
   });
 
-  socket.on('makeMove', async ({ gameId, from, to, promotion }) => {
+  // Anyone may look a profile up by its id; its owner can also use the token.
+  socket.on('getProfile', (payload, ack) => {
+    const { profileId, profileToken } = payload || {};
+    const profile = profiles[profileId] || profileByToken(profileToken);
+    if (!profile) return fail(socket, ack, 'gameError', null, 'unknown_profile');
+    respond(ack, { ok: true, profile: publicProfile(profile) });
+  });
+
+  socket.on('makeMove', async (payload, ack) => {
+    const { gameId, from, to, promotion } = payload || {};
     const g = games[gameId];
-    if (!g) return;
+    if (!g) return fail(socket, ack, 'moveRejected', gameId, 'unknown_game');
+    // only the player holding the side to move may move
+    const color = seatOf(g, socket.id);
+    if (!color) return fail(socket, ack, 'moveRejected', gameId, 'not_a_player');
+    // a flag that fell just before this move arrived decides the game first
+    if (g.clock && !isFinished(g) && isFlagged(g.clock)) flagFall(io, gameId);
+    if (isFinished(g)) return fail(socket, ack, 'moveRejected', gameId, 'game_over');
+    if (g.game.turn() !== color) return fail(socket, ack, 'moveRejected', gameId, 'not_your_turn');
 
     const move = g.game.move({ from, to, promotion });
-    if (move) {
-      io.to(gameId).emit('updateBoard', g.game.fen());
-
-      if (g.game.game_over()) {
-        io.to(gameId).emit('gameOver', { result: g.game.game_over() });
-      } else if (g.aiLevel) {
-        // AI move
-        const aiMove = await getAIMove(g.game, g.aiLevel);
-        g.game.move(aiMove);
-        io.to(gameId).emit('updateBoard', g.game.fen());
-        if (g.game.game_over()) {
-          io.to(gameId).emit('gameOver', { result: g.game.game_over() });
-        }
+    if (!move) return fail(socket, ack, 'moveRejected', gameId, 'illegal_move');
+
+    respond(ack, { ok: true, gameId, san: move.san, fen: g.game.fen() });
+    afterMove(io, gameId);
+    await playAIMove(io, gameId);
+  });
+
+  // Takes back the requester's last move, plus the reply to it if one was made, so it's their
+  // turn again. Against the engine that happens straight away; a human opponent must accept.
+  socket.on('requestTakeback', (payload, ack) => {
+    const { gameId } = payload || {};
+    const g = games[gameId];
+    if (!g) return fail(socket, ack, 'gameError', gameId, 'unknown_game');
+    const color = seatOf(g, socket.id);
+    if (!color) return fail(socket, ack, 'gameError', gameId, 'not_a_player');
+    if (isFinished(g)) return fail(socket, ack, 'gameError', gameId, 'game_over');
+    if (g.rated) return fail(socket, ack, 'gameError', gameId, 'rated_game');
+    if (!takebackPlies(g, color)) return fail(socket, ack, 'gameError', gameId, 'nothing_to_undo');
+    const opponent = g.players[color === 'w' ? 'b' : 'w'];
+    if (opponent === AI_SEAT) {
+      takeBack(io, gameId, takebackPlies(g, color));
+      return respond(ack, { ok: true, gameId, fen: g.game.fen() });
+    }
+    if (!opponent) return fail(socket, ack, 'gameError', gameId, 'opponent_away');
+    g.takeback = color;
+    respond(ack, { ok: true, gameId, pending: true });
+    io.to(opponent).emit('takebackRequested', { gameId, by: color });
+  });
+
+  socket.on('answerTakeback', (payload, ack) => {
+    const { gameId, accept } = payload || {};
+    const g = games[gameId];
+    if (!g) return fail(socket, ack, 'gameError', gameId, 'unknown_game');
+    const color = seatOf(g, socket.id);
+    if (!color) return fail(socket, ack, 'gameError', gameId, 'not_a_player');
+    if (isFinished(g)) return fail(socket, ack, 'gameError', gameId, 'game_over');
+    // only the opponent of whoever asked can answer
+    if (!g.takeback || g.takeback === color) return fail(socket, ack, 'gameError', gameId, 'no_takeback');
+    const by = g.takeback;
+    g.takeback = null;
+    if (accept) takeBack(io, gameId, takebackPlies(g, by));
+    respond(ack, { ok: true, gameId, fen: g.game.fen() });
+    if (g.players[by]) io.to(g.players[by]).emit('takebackAnswered', { gameId, accepted: !!accept });
+  });
+
+  socket.on('resign', (payload, ack) => {
+    const { gameId } = payload || {};
+    const g = games[gameId];
+    if (!g) return fail(socket, ack, 'gameError', gameId, 'unknown_game');
+    const color = seatOf(g, socket.id);
+    if (!color) return fail(socket, ack, 'gameError', gameId, 'not_a_player');
+    if (isFinished(g)) return fail(socket, ack, 'gameError', gameId, 'game_over');
+    endGame(io, gameId, { reason: 'resignation', winner: color === 'w' ? 'b' : 'w' });
+    respond(ack, { ok: true, gameId });
+  });
+
+  // An offer stands until the opponent answers it or makes a move. The engine takes a draw
+  // whenever it isn't ahead on material.
+  socket.on('offerDraw', (payload, ack) => {
+    const { gameId } = payload || {};
+    const g = games[gameId];
+    if (!g) return fail(socket, ack, 'gameError', gameId, 'unknown_game');
+    const color = seatOf(g, socket.id);
+    if (!color) return fail(socket, ack, 'gameError', gameId, 'not_a_player');
+    if (isFinished(g)) return fail(socket, ack, 'gameError', gameId, 'game_over');
+    const opponentColor = color === 'w' ? 'b' : 'w';
+    const opponent = g.players[opponentColor];
+    if (opponent === AI_SEAT) {
+      const accepted = materialBalance(g.game, opponentColor) <= 0;
+      if (accepted) endGame(io, gameId, { reason: 'agreement', winner: null });
+      return respond(ack, { ok: true, gameId, accepted });
+    }
+    if (!opponent) return fail(socket, ack, 'gameError', gameId, 'opponent_away');
+    g.drawOffer = color;
+    respond(ack, { ok: true, gameId, pending: true });
+    io.to(opponent).emit('drawOffered', { gameId, by: color });
+  });
+
+  socket.on('answerDraw', (payload, ack) => {
+    const { gameId, accept } = payload || {};
+    const g = games[gameId];
+    if (!g) return fail(socket, ack, 'gameError', gameId, 'unknown_game');
+    const color = seatOf(g, socket.id);
+    if (!color) return fail(socket, ack, 'gameError', gameId, 'not_a_player');
+    if (isFinished(g)) return fail(socket, ack, 'gameError', gameId, 'game_over');
+    if (!g.drawOffer || g.drawOffer === color) return fail(socket, ack, 'gameError', gameId, 'no_draw_offer');
+    const by = g.drawOffer;
+    g.drawOffer = null;
+    if (accept) endGame(io, gameId, { reason: 'agreement', winner: null });
+    respond(ack, { ok: true, gameId });
+    if (g.players[by]) io.to(g.players[by]).emit('drawAnswered', { gameId, accepted: !!accept });
+  });
+
+  // Hint: the engine's move for the side to move, for its player only. The squares also arrive
+  // as a `hint` event so the board can highlight them whoever asked.
+  socket.on('requestHint', async (payload, ack) => {
+    const { gameId } = payload || {};
+    const g = games[gameId];
+    if (!g) return fail(socket, ack, 'gameError', gameId, 'unknown_game');
+    const color = seatOf(g, socket.id);
+    if (!color) return fail(socket, ack, 'gameError', gameId, 'not_a_player');
+    if (!g.assists) return fail(socket, ack, 'gameError', gameId, 'assists_off');
+    if (isFinished(g)) return fail(socket, ack, 'gameError', gameId, 'game_over');
+    if (g.game.turn() !== color) return fail(socket, ack, 'gameError', gameId, 'not_your_turn');
+    const fen = g.game.fen();
+    const { move } = await stockfishSearch(fen, ASSIST_LIMITS, g.variant);
+    if (!move) return fail(socket, ack, 'gameError', gameId, 'engine_failed');
+    respond(ack, { ok: true, gameId, fen, from: move.from, to: move.to });
+    io.to(socket.id).emit('hint', { gameId, fen, from: move.from, to: move.to });
+  });
+
+  // Evaluation of the current position for the eval bar, from White's point of view.
+  socket.on('requestEval', async (payload, ack) => {
+    const { gameId } = payload || {};
+    const g = games[gameId];
+    if (!g) return fail(socket, ack, 'gameError', gameId, 'unknown_game');
+    if (!seatOf(g, socket.id)) return fail(socket, ack, 'gameError', gameId, 'not_a_player');
+    if (!g.assists) return fail(socket, ack, 'gameError', gameId, 'assists_off');
+    const fen = g.game.fen();
+    if (isFinished(g)) return respond(ack, { ok: true, gameId, fen, score: null, mate: null, result: resultState(g) });
+    // both null when the engine failed: the bar shows no evaluation
+    const { score, mate } = await stockfishSearch(fen, ASSIST_LIMITS, g.variant);
+    respond(ack, { ok: true, gameId, fen, score, mate });
+  });
+
+  socket.on('quickMessage', (payload, ack) => {
+    const { gameId, message } = payload || {};
+    const g = games[gameId];
+    if (!g) return fail(socket, ack, 'gameError', gameId, 'unknown_game');
+    const color = seatOf(g, socket.id);
+    if (!color) return fail(socket, ack, 'gameError', gameId, 'not_a_player');
+    if (!Object.prototype.hasOwnProperty.call(QUICK_MESSAGES, message)) return fail(socket, ack, 'gameError', gameId, 'unknown_message');
+    // counted per seat, so reconnecting doesn't start the count over
+    const sent = g.messagesSent[color];
+    const now = Date.now();
+    while (sent.length && now - sent[0] >= MESSAGE_LIMIT.windowMs) sent.shift();
+    if (sent.length >= MESSAGE_LIMIT.count) return fail(socket, ack, 'gameError', gameId, 'too_many_messages');
+    sent.push(now);
+    respond(ack, { ok: true, gameId });
+    io.to(gameId).emit('quickMessage', { gameId, from: color, message, text: QUICK_MESSAGES[message], at: now });
+  });
+
+  // Once the grace period is over, a player whose opponent is still away may take the win.
+  socket.on('claimWin', (payload, ack) => {
+    const { gameId } = payload || {};
+    const g = games[gameId];
+    if (!g) return fail(socket, ack, 'gameError', gameId, 'unknown_game');
+    const color = seatOf(g, socket.id);
+    if (!color) return fail(socket, ack, 'gameError', gameId, 'not_a_player');
+    if (isFinished(g)) return fail(socket, ack, 'gameError', gameId, 'game_over');
+    if (!isAbandoned(g, color === 'w' ? 'b' : 'w')) return fail(socket, ack, 'gameError', gameId, 'cannot_claim');
+    endGame(io, gameId, { reason: 'abandonment', winner: color });
+    respond(ack, { ok: true, gameId });
+  });
+
+  socket.on('disconnect', () => {
+    removeSeek(socket.id);
+    let seated = false;
+    for (const [gameId, g] of Object.entries(games)) {
+      const color = seatOf(g, socket.id);
+      if (!color && !g.spectators.has(socket.id)) continue;
+      g.spectators.delete(socket.id);
+      if (color) {
+        seated = true;
+        // the seat stays reserved for its token holder
+        g.players[color] = null;
+        g.away[color] = Date.now();
+        // tell the room again once the opponent is allowed to claim the game
+        setTimeout(() => {
+          if (games[gameId] === g && isAbandoned(g, color)) io.to(gameId).emit('players', playersSummary(g));
+        }, RECONNECT_GRACE_MS + 50).unref();
       }
+      io.to(gameId).emit('players', playersSummary(g));
     }
+    if (seated) announceLobby(io);
   });
 };
 
-// Simple AI: random move for low levels
-async function getAIMove(chess, level) {
-  const moves = chess.moves({ verbose: true });
-  if (level === 1) {
-    // Beginner: random move
-    return moves[Math.floor(Math.random() * moves.length)];
-  } else if (level >= 2 && level < 5) {
-    // Easy/Medium: greedy (capture highest value)
-    let bestMove = moves[0];
-    let bestScore = -1000;
-    moves.forEach(m => {
-      let score = m.captured ? getPieceValue(m.captured) : 0;
-      if (score > bestScore) {
-        bestScore = score;
-        bestMove = m;
-      }
+/* ---------- Replies ---------- */
+
+function respond(ack, body) {
+  if (typeof ack === 'function') ack(body);
+}
+
+// Refuse a request. The authoritative FEN rides along so the client can roll back to it.
+function fail(socket, ack, event, gameId, code) {
+  const body = { ok: false, gameId, code, message: ERRORS[code] };
+  if (games[gameId]) body.fen = games[gameId].game.fen();
+  if (typeof ack === 'function') ack(body);
+  else socket.emit(event, body);
+}
+
+/* ---------- Seats ---------- */
+
+function seatOf(g, socketId) {
+  if (g.players.w === socketId) return 'w';
+  if (g.players.b === socketId) return 'b';
+  return null;
+}
+
+function newGameState({
+  aiLevel = null, assists, rated = false, variant = 'standard', players, tokens, profiles: seatProfiles = { w: null, b: null },
+  control, away = { w: null, b: null }, messagesSent = { w: [], b: [] }, spectators = new Set()
+}) {
+  const now = Date.now();
+  return {
+    game: newChess(variant), variant, aiLevel, assists, rated, players, tokens, profiles: seatProfiles, away, messagesSent, spectators,
+    clock: createClock(control), result: null, ratings: null, createdAt: now, updatedAt: now
+  };
+}
+
+// King of the Hill and Three-check are played on the normal rules, which chess.js knows; Chess960
+// castles differently, so it has a game class of its own (starting from a random position)
+function newChess(variant) {
+  return variant === 'chess960' ? new Chess960() : new Chess();
+}
+
+// six characters, like the IDs clients make up for the games they create
+function newGameId() {
+  let gameId;
+  do gameId = crypto.randomBytes(3).toString('hex'); while (games[gameId]);
+  return gameId;
+}
+
+function newToken() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+// returns the seat colour taken, or null when the joiner can only watch
+function takeSeat(g, socketId, token) {
+  const held = seatOf(g, socketId);
+  if (held) return held;
+  // a seat with a token belongs to whoever holds it, even while they're disconnected
+  const seat = ['w', 'b'].find(color => token && g.tokens[color] === token)
+    || ['w', 'b'].find(color => !g.players[color] && !g.tokens[color]);
+  if (seat) {
+    g.players[seat] = socketId;
+    if (!g.tokens[seat]) g.tokens[seat] = newToken();
+    g.away[seat] = null;
+    g.spectators.delete(socketId);
+    return seat;
+  }
+  g.spectators.add(socketId);
+  return null;
+}
+
+// the human in this seat left and hasn't been back within the grace period
+function isAbandoned(g, color, now = Date.now()) {
+  return !g.players[color] && !!g.away[color] && now - g.away[color] >= RECONNECT_GRACE_MS;
+}
+
+function playersSummary(g) {
+  const describe = seat => (seat === AI_SEAT ? 'ai' : seat ? 'human' : 'open');
+  const level = AI_LEVELS[g.aiLevel];
+  return {
+    w: describe(g.players.w),
+    b: describe(g.players.b),
+    spectators: g.spectators.size,
+    away: { w: !!g.away.w, b: !!g.away.b },
+    abandoned: { w: isAbandoned(g, 'w'), b: isAbandoned(g, 'b') },
+    ai: level ? { level: Number(g.aiLevel), name: level.name, rating: level.rating } : null,
+    names: { w: profileName(g.profiles.w), b: profileName(g.profiles.b) },
+    rated: g.rated
+  };
+}
+
+// Let the engine reply if it holds the side to move.
+async function playAIMove(io, gameId) {
+  const g = games[gameId];
+  if (!g || g.players[g.game.turn()] !== AI_SEAT || isFinished(g)) return;
+  const fen = g.game.fen();
+  const aiMove = await getAIMove(g.game, g.aiLevel, g.variant);
+  // the game may have been restarted, removed or lost on time while the engine was thinking
+  if (!aiMove || games[gameId] !== g || g.game.fen() !== fen || isFinished(g)) return;
+  if (!g.game.move(aiMove)) return;
+  afterMove(io, gameId);
+}
+
+/* ---------- Moves, clocks and game end ---------- */
+
+function isFinished(g) {
+  return !!g.result;
+}
+
+// How the position on the board ended the game, as {reason, winner}; null while it goes on.
+// A variant's own win has the variant's name as its reason.
+function outcome(chess, variant = 'standard') {
+  const position = variantPosition(chess, variant);
+  const won = variantWinner(position);
+  if (won) return { reason: variant, winner: won };
+  if (chess.in_checkmate()) return { reason: 'checkmate', winner: chess.turn() === 'w' ? 'b' : 'w' };
+  if (chess.in_stalemate()) return { reason: 'stalemate', winner: null };
+  if (variant === 'standard' ? chess.insufficient_material() : isVariantDeadDraw(position)) return { reason: 'insufficient', winner: null };
+  if (chess.in_threefold_repetition()) return { reason: 'threefold', winner: null };
+  // not in_draw(), which also counts chess.js's own insufficient material, variants or not
+  if (+chess.fen().split(' ')[4] >= 100) return { reason: 'fifty-move', winner: null };
+  return null;
+}
+
+// the position as engine.js sees it, for its variant rules
+function variantPosition(chess, variant) {
+  const position = { ...parseFen(chess.fen()), variant };
+  if (variant === 'threeCheck') position.checks = checksGiven(chess);
+  return position;
+}
+
+// checks each side has given so far, read off the moves' SAN; every game starts with White to move
+function checksGiven(chess) {
+  const checks = { w: 0, b: 0 };
+  chess.history().forEach((san, i) => {
+    if (/[+#]$/.test(san)) checks[i % 2 ? 'b' : 'w']++;
+  });
+  return checks;
+}
+
+function scoreOf(result) {
+  return result.winner === 'w' ? '1-0' : result.winner === 'b' ? '0-1' : '1/2-1/2';
+}
+
+// What clients get in gameOver (and in updateBoard once the game is finished). In a rated game,
+// ratings holds each profile's { before, after }; archiveId finds the game in the archive later.
+function resultState(g) {
+  if (!g.result) return null;
+  return { ...g.result, score: scoreOf(g.result), pgn: g.game.pgn(), ratings: g.ratings, archiveId: g.archiveId || null };
+}
+
+// What every client gets in updateBoard: the position, both clocks, the opening being played
+// (standard chess only), the variant with the checks given in Three-check, and the result once
+// there is one.
+function boardState(gameId) {
+  const g = games[gameId];
+  return {
+    gameId, fen: g.game.fen(), clock: clockSnapshot(g.clock),
+    opening: g.variant === 'standard' ? openingFor(g.game.history()) : null,
+    variant: g.variant, checks: g.variant === 'threeCheck' ? checksGiven(g.game) : null,
+    result: resultState(g)
+  };
+}
+
+function broadcastBoard(io, gameId) {
+  io.to(gameId).emit('updateBoard', boardState(gameId));
+}
+
+// Bookkeeping shared by human and engine moves: clock, persistence, broadcast, game end.
+function afterMove(io, gameId) {
+  const g = games[gameId];
+  g.takeback = null; // moving on lets a pending takeback request lapse
+  // a draw offer lapses once its recipient moves instead of answering
+  if (g.drawOffer === g.game.turn()) g.drawOffer = null;
+  const over = outcome(g.game, g.variant);
+  if (g.clock) pressClock(g.clock);
+  if (over) return endGame(io, gameId, over);
+  if (g.clock) armFlag(io, gameId);
+  touch(gameId);
+  broadcastBoard(io, gameId);
+}
+
+// Every ending goes through here: record it in the game and its PGN, stop the clock, tell the room.
+function endGame(io, gameId, result) {
+  const g = games[gameId];
+  g.result = result;
+  g.takeback = null;
+  g.drawOffer = null;
+  clearTimeout(g.flagTimer);
+  if (g.clock) stopClock(g.clock);
+  if (g.rated) g.ratings = rateGame(gameId, g);
+  setPgnHeaders(g);
+  g.archiveId = archiveFinishedGame(gameId, g);
+  touch(gameId);
+  broadcastBoard(io, gameId);
+  io.to(gameId).emit('gameOver', { gameId, ...resultState(g) });
+  announceLobby(io);
+}
+
+// The Seven Tag Roster plus time control and termination, filled in as the game ends so the
+// PGN in gameOver and in the archive says who played what and how it finished.
+function setPgnHeaders(g) {
+  const started = new Date(g.createdAt);
+  const pad = n => String(n).padStart(2, '0');
+  const tc = g.clock && TIME_CONTROLS[g.clock.control];
+  g.game.header(
+    'Event', g.rated ? 'Rated game' : 'Casual game',
+    'Site', 'Chess Introvert',
+    'Date', `${started.getFullYear()}.${pad(started.getMonth() + 1)}.${pad(started.getDate())}`,
+    'Round', '-',
+    'White', seatName(g, 'w'),
+    'Black', seatName(g, 'b'),
+    'Result', scoreOf(g.result),
+    // in seconds; PGN has no way to write a delay
+    'TimeControl', tc ? `${tc.initial / 1000}${tc.increment ? `+${tc.increment / 1000}` : ''}` : '-',
+    'Termination', TERMINATIONS[g.result.reason] || 'normal'
+  );
+  if (g.variant !== 'standard') g.game.header('Variant', VARIANTS[g.variant]);
+}
+
+function seatName(g, color) {
+  if (g.players[color] === AI_SEAT) return `AI ${AI_LEVELS[g.aiLevel].name}`;
+  return profileName(g.profiles[color]) || 'Anonymous';
+}
+
+// Copies a finished game into the archive; returns its archiveId. A game ID is reused when the
+// game is restarted, so the archive tells the games apart by when they ended.
+function archiveFinishedGame(gameId, g) {
+  const endedAt = Date.now();
+  const archiveId = `${gameId}-${endedAt.toString(36)}`;
+  const summary = {
+    archiveId, gameId, white: seatName(g, 'w'), black: seatName(g, 'b'), profiles: { ...g.profiles },
+    aiLevel: g.aiLevel || null, timeControl: g.clock ? g.clock.control : null, rated: g.rated, variant: g.variant,
+    result: { reason: g.result.reason, winner: g.result.winner, score: scoreOf(g.result) }, ratings: g.ratings,
+    plies: g.game.history().length, startedAt: g.createdAt, endedAt
+  };
+  archive[archiveId] = summary;
+  const record = { ...summary, pgn: g.game.pgn() };
+  // chess.js can't replay Chess960 castling, so the replay viewer gets the positions ready-made
+  if (g.variant === 'chess960') {
+    const replay = new Chess960(g.game.header().FEN);
+    record.moves = g.game.history();
+    record.fens = [replay.fen(), ...record.moves.map(san => replay.move(san) && replay.fen())];
+  }
+  store.archiveGame(archiveId, record);
+  return archiveId;
+}
+
+// How many plies to undo so it's `color`'s turn again: 1 straight after their own move,
+// 2 once the opponent has replied. 0 when `color` has no move to take back.
+function takebackPlies(g, color) {
+  const plies = g.game.turn() === color ? 2 : 1;
+  return g.game.history().length >= plies ? plies : 0;
+}
+
+function takeBack(io, gameId, plies) {
+  const g = games[gameId];
+  for (let i = 0; i < plies; i++) g.game.undo();
+  g.takeback = null;
+  if (g.clock) {
+    rewindClock(g.clock, g.game.turn(), g.game.history().length > 0);
+    armFlag(io, gameId);
+  }
+  touch(gameId);
+  broadcastBoard(io, gameId);
+}
+
+// Wake up when the side to move would run out of time.
+function armFlag(io, gameId) {
+  const g = games[gameId];
+  clearTimeout(g.flagTimer);
+  const ms = msUntilFlag(g.clock);
+  if (ms === Infinity) return;
+  g.flagTimer = setTimeout(() => {
+    if (games[gameId] !== g || isFinished(g)) return;
+    if (isFlagged(g.clock)) flagFall(io, gameId);
+    else armFlag(io, gameId);
+  }, ms + 50);
+}
+
+function flagFall(io, gameId) {
+  const g = games[gameId];
+  const winner = g.clock.turn === 'w' ? 'b' : 'w';
+  // running out of time only loses if the opponent could still deliver mate (or reach their variant's goal)
+  endGame(io, gameId, { reason: 'timeout', winner: canStillWin(variantPosition(g.game, g.variant), winner) ? winner : null });
+}
+
+// `color`'s material minus the opponent's, in pawns
+function materialBalance(chess, color) {
+  const values = { p: 1, n: 3, b: 3, r: 5, q: 9, k: 0 };
+  return chess.board().flat().filter(Boolean)
+    .reduce((sum, p) => sum + (p.color === color ? values[p.type] : -values[p.type]), 0);
+}
+
+/* ---------- Lobby and matchmaking ---------- */
+
+// Unfinished games with at least one player connected, newest first: openSeats lists the
+// colours a joiner would get, the rest can be watched.
+function lobbyGames() {
+  return Object.entries(games)
+    .filter(([, g]) => !isFinished(g) && ['w', 'b'].some(color => g.players[color] && g.players[color] !== AI_SEAT))
+    .sort(([, a], [, b]) => b.createdAt - a.createdAt)
+    .map(([gameId, g]) => ({
+      gameId,
+      timeControl: g.clock ? g.clock.control : null,
+      assists: g.assists,
+      rated: g.rated,
+      variant: g.variant,
+      openSeats: ['w', 'b'].filter(color => !g.players[color] && !g.tokens[color]),
+      players: playersSummary(g),
+      createdAt: g.createdAt
+    }));
+}
+
+function announceLobby(io) {
+  io.to(LOBBY_ROOM).emit('lobby', { games: lobbyGames() });
+}
+
+function removeSeek(socketId) {
+  const i = seeks.findIndex(seek => seek.socketId === socketId);
+  if (i !== -1) seeks.splice(i, 1);
+}
+
+function seeksMatch(a, b) {
+  const accepts = (seek, rating) => seek.range === null || Math.abs(rating - seek.rating) <= seek.range;
+  return a.socketId !== b.socketId && a.timeControl === b.timeControl && accepts(a, b.rating) && accepts(b, a.rating);
+}
+
+// A fresh game between two queued players, colours drawn at random. Games between strangers get no
+// assists, and are rated when both have a profile; each player takes their seat by joining with
+// the token from `matchFound`.
+function startMatch(io, a, b) {
+  const gameId = newGameId();
+  const [white, black] = Math.random() < 0.5 ? [a, b] : [b, a];
+  const players = { w: white.socketId, b: black.socketId };
+  const tokens = { w: newToken(), b: newToken() };
+  const seatProfiles = { w: white.profileId, b: black.profileId };
+  const rated = !!(white.profileId && black.profileId);
+  games[gameId] = newGameState({ assists: false, rated, players, tokens, profiles: seatProfiles, control: a.timeControl });
+  persist(gameId);
+  for (const color of ['w', 'b']) {
+    io.to(players[color]).emit('matchFound', { gameId, color, token: tokens[color], assists: false, rated, timeControl: a.timeControl });
+  }
+  announceLobby(io);
+  return gameId;
+}
+
+/* ---------- Profiles and ratings ---------- */
+
+function profileByToken(token) {
+  if (!token) return null;
+  return Object.values(profiles).find(profile => profile.token === token) || null;
+}
+
+function profileName(profileId) {
+  return profiles[profileId] ? profiles[profileId].name : null;
+}
+
+function newProfileId() {
+  let profileId;
+  do profileId = crypto.randomBytes(4).toString('hex'); while (profiles[profileId]);
+  return profileId;
+}
+
+// everything but the token; history newest first
+function publicProfile(profile) {
+  const { profileId, name, rating, played, record, createdAt } = profile;
+  return { profileId, name, rating, played, record, history: profile.history.slice().reverse(), createdAt };
+}
+
+function saveProfile(profileId) {
+  profileStore.saveProfile(profileId, profiles[profileId]);
+}
+
+// Moves the rating of each profile in a finished rated game and records the game in its history;
+// returns { [color]: { before, after } }. The engine counts at its level's rating. A game with a
+// human seat that has no profile changes nothing.
+function rateGame(gameId, g) {
+  const sides = {};
+  for (const color of ['w', 'b']) {
+    const profile = profiles[g.profiles[color]];
+    if (g.players[color] === AI_SEAT) sides[color] = { rating: AI_LEVELS[g.aiLevel].rating, name: `AI ${AI_LEVELS[g.aiLevel].name}` };
+    else if (profile) sides[color] = { profile, rating: profile.rating, name: profile.name };
+    else return null;
+  }
+  const ratings = {};
+  for (const color of ['w', 'b']) {
+    const { profile, rating } = sides[color];
+    if (!profile) continue;
+    const opponent = sides[color === 'w' ? 'b' : 'w'];
+    const outcomeFor = !g.result.winner ? 'draw' : g.result.winner === color ? 'win' : 'loss';
+    const score = { win: 1, draw: 0.5, loss: 0 }[outcomeFor];
+    profile.rating = updateRating(rating, opponent.rating, score, profile.played);
+    profile.played++;
+    // the record is kept per AI level, and for all human opponents together
+    const against = opponent.profile ? 'human' : String(g.aiLevel);
+    const tally = profile.record[against] || (profile.record[against] = { win: 0, loss: 0, draw: 0 });
+    tally[outcomeFor]++;
+    profile.history.push({
+      gameId, date: Date.now(), color, opponent: opponent.name, opponentRating: opponent.rating,
+      aiLevel: opponent.profile ? null : Number(g.aiLevel), outcome: outcomeFor, reason: g.result.reason,
+      ratingBefore: rating, ratingAfter: profile.rating
     });
-    return bestMove;
-  } else {
-    // Grandmaster: use Stockfish
-    return await stockfishMove(chess.fen());
+    if (profile.history.length > PROFILE_HISTORY) profile.history.shift();
+    saveProfile(profile.profileId);
+    ratings[color] = { before: rating, after: profile.rating };
   }
+  return ratings;
 }
 
-function getPieceValue(piece) {
-  switch (piece.toLowerCase()) {
-    case 'p': return 1;
-    case 'n': case 'b': return 3;
-    case 'r': return 5;
-    case 'q': return 9;
-    default: return 0;
+/* ---------- Persistence ---------- */
+
+function serializeGame(g) {
+  return {
+    fen: g.game.fen(),
+    pgn: g.game.pgn(), // full move history (with a FEN header if the game didn't start from the initial position)
+    aiLevel: g.aiLevel || null,
+    assists: g.assists,
+    rated: g.rated,
+    variant: g.variant,
+    profiles: g.profiles,
+    ratings: g.ratings,
+    archiveId: g.archiveId || null,
+    // human seats belong to live sockets and are handed out again after a restart; the engine's seat is kept
+    players: { w: g.players.w === AI_SEAT ? AI_SEAT : null, b: g.players.b === AI_SEAT ? AI_SEAT : null },
+    tokens: g.tokens,
+    clock: serializeClock(g.clock),
+    result: g.result || null,
+    createdAt: g.createdAt,
+    updatedAt: g.updatedAt
+  };
+}
+
+function restoreGames() {
+  const restored = {};
+  for (const [gameId, data] of Object.entries(store.loadGames())) {
+    const variant = VARIANTS[data.variant] ? data.variant : 'standard';
+    const game = newChess(variant);
+    // an empty move history won't load as PGN; fall back to the bare position
+    if (!game.load_pgn(data.pgn || '') && !game.load(data.fen)) {
+      console.error(`gameSocket: could not restore game ${gameId}`);
+      continue;
+    }
+    const updatedAt = data.updatedAt || Date.now();
+    const tokens = data.tokens || { w: null, b: null };
+    // nobody is connected after a restart: every reserved seat counts as away from now on
+    const away = { w: tokens.w ? Date.now() : null, b: tokens.b ? Date.now() : null };
+    restored[gameId] = {
+      game, variant, aiLevel: data.aiLevel, assists: data.assists !== undefined ? data.assists : !!data.aiLevel,
+      rated: !!data.rated, profiles: data.profiles || { w: null, b: null }, ratings: data.ratings || null,
+      archiveId: data.archiveId || null,
+      players: data.players || legacyPlayers(data), tokens, away, messagesSent: { w: [], b: [] }, spectators: new Set(),
+      // games saved before results were recorded only know how the board ended
+      clock: restoreClock(data.clock), result: data.result || outcome(game, variant),
+      createdAt: data.createdAt || updatedAt, updatedAt
+    };
   }
+  return restored;
 }
 
-// Stockfish integration
-function stockfishMove(fen) {
+// games saved before seats existed: the engine always played black
+function legacyPlayers(data) {
+  return { w: null, b: data.aiLevel ? AI_SEAT : null };
+}
+
+function persist(gameId) {
+  const g = games[gameId];
+  if (g) store.saveGame(gameId, serializeGame(g));
+}
+
+// mark a game as active and save it
+function touch(gameId) {
+  const g = games[gameId];
+  if (!g) return; // pruned while we were waiting on the engine
+  g.updatedAt = Date.now();
+  persist(gameId);
+}
+
+function pruneIdleGames() {
+  const cutoff = Date.now() - IDLE_TTL_MS;
+  for (const [gameId, g] of Object.entries(games)) {
+    if (g.updatedAt < cutoff) {
+      clearTimeout(g.flagTimer);
+      delete games[gameId];
+      store.deleteGame(gameId);
+    }
+  }
+}
+
+pruneIdleGames();
+setInterval(pruneIdleGames, SWEEP_INTERVAL_MS).unref();
+
+/* ---------- Engine ---------- */
+
+async function getAIMove(chess, level, variant = 'standard') {
+  const settings = AI_LEVELS[level] || AI_LEVELS[3];
+  const book = variant === 'standard' && bookMove(chess.history(), settings.bookPlies);
+  if (book) return book;
+  const moves = chess.moves({ verbose: true });
+  // Stockfish plays King of the Hill and Three-check as normal chess, so a move that wins
+  // outright by the variant's goal is taken before asking it
+  if (variant === 'kingOfTheHill' || variant === 'threeCheck') {
+    const side = chess.turn();
+    const winning = moves.find((move) => {
+      chess.move(move);
+      const won = variantWinner(variantPosition(chess, variant));
+      chess.undo();
+      return won === side;
+    });
+    if (winning) return winning;
+  }
+  const randomMove = () => moves[Math.floor(Math.random() * moves.length)];
+  // the deliberate mistake a player of this rating would make now and then
+  if (Math.random() < settings.errorChance) return randomMove();
+  // a random move rather than none when the engine fails, so the game goes on
+  return (await stockfishSearch(chess.fen(), settings, variant)).move || randomMove();
+}
+
+// Resolves with {move, score, mate}: move is {from, to, promotion} from the engine's UCI reply,
+// or null when it has none; score (centipawns) and mate (moves) are from White's point of view,
+// taken from the last `info` line, and null if the engine sent none. In Chess960 the engine
+// castles king takes rook, which is how Chess960 games take the move too.
+// An engine that throws or doesn't answer within ENGINE_TIMEOUT_MS is quit, and the search
+// resolves with all three null.
+function stockfishSearch(fen, { skill, depth, movetime }, variant = 'standard') {
+  const sign = fen.split(' ')[1] === 'w' ? 1 : -1; // the engine scores for the side to move
+  let score = null;
+  let mate = null;
   return new Promise((resolve) => {
-    const engine = Stockfish();
-    engine.onmessage = (line) => {
-      if (line.startsWith('bestmove')) {
-        const move = line.split(' ')[1];
-        const from = move.slice(0,2);
-        const to = move.slice(2,4);
-        resolve({ from, to, promotion: 'q' });
+    let engine = null;
+    let timer = null;
+    // resolves once, and stops the engine whichever way the search ended
+    const finish = (result) => {
+      clearTimeout(timer);
+      if (engine) {
+        engine.onmessage = () => {};
+        try {
+          engine.postMessage('quit');
+        } catch (err) {
+          // already gone
+        }
+        engine = null;
       }
+      resolve(result);
+    };
+    const failed = (why) => {
+      console.error(`gameSocket: engine search failed for ${fen}:`, why);
+      finish({ move: null, score: null, mate: null });
     };
-    engine.postMessage('uci');
-    engine.postMessage(`position fen ${fen}`);
-    engine.postMessage('go depth 15');
+    timer = setTimeout(() => failed(`no answer in ${ENGINE_TIMEOUT_MS} ms`), ENGINE_TIMEOUT_MS);
+    try {
+      engine = Stockfish();
+      engine.onmessage = (line) => {
+        if (typeof line !== 'string') return;
+        const info = line.startsWith('info') && line.match(/ score (cp|mate) (-?\d+)/);
+        if (info) {
+          score = info[1] === 'cp' ? sign * Number(info[2]) : null;
+          mate = info[1] === 'mate' ? sign * Number(info[2]) : null;
+        }
+        if (!line.startsWith('bestmove')) return;
+        const move = line.split(' ')[1];
+        if (!move || move === '(none)') return finish({ move: null, score, mate });
+        // long algebraic: e2e4, or e7e8n with the promotion piece last
+        finish({ move: { from: move.slice(0, 2), to: move.slice(2, 4), promotion: move[4] }, score, mate });
+      };
+      engine.postMessage('uci');
+      engine.postMessage(`setoption name Skill Level value ${skill}`);
+      if (variant === 'chess960') engine.postMessage('setoption name UCI_Chess960 value true');
+      engine.postMessage(`position fen ${fen}`);
+      engine.postMessage(`go depth ${depth} movetime ${movetime}`);
+    } catch (err) {
+      failed(err.message);
+    }
   });
 }
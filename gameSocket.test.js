@@ -0,0 +1,157 @@
+// Chess Introvert - gameSocket.test.js
+// Run with `node --test`. Drives the socket handlers through a stand-in for socket.io; the
+// game and archive files go to a temporary directory.
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chess-introvert-'));
+process.env.GAME_STORE_DIR = path.join(dataDir, 'games');
+process.env.GAME_ARCHIVE_DIR = path.join(dataDir, 'archive');
+process.env.PROFILE_STORE_DIR = path.join(dataDir, 'profiles');
+
+// Games saved mid-position, as if from before a restart: the server works out on loading whether
+// the board has already ended them. gameId -> [variant, FEN].
+const SAVED = {
+  stdbare: ['standard', '4k3/8/8/8/8/8/8/4K3 w - - 0 1'],
+  stdfifty: ['standard', 'r3k3/8/8/8/8/8/8/4K2R w - - 100 80'],
+  kothbare: ['kingOfTheHill', '4k3/8/8/8/8/8/8/4K3 w - - 0 1'],
+  tcminor: ['threeCheck', '4k3/8/8/8/8/8/8/4KN2 w - - 0 1'],
+  tcbare: ['threeCheck', '4k3/8/8/8/8/8/8/4K3 w - - 0 1']
+};
+fs.mkdirSync(process.env.GAME_STORE_DIR, { recursive: true });
+for (const [gameId, [variant, fen]] of Object.entries(SAVED)) {
+  const record = { gameId, variant, fen, pgn: '', createdAt: Date.now(), updatedAt: Date.now() };
+  fs.writeFileSync(path.join(process.env.GAME_STORE_DIR, `${gameId}.json`), JSON.stringify(record));
+}
+
+const gameSocket = require('./gameSocket');
+const store = require('./gameStore');
+const played = Object.keys(SAVED); // every gameId the tests touch, deleted at the end
+
+// just enough of socket.io: rooms, emits recorded per socket, and handlers called directly
+function fakeServer() {
+  const sockets = {};
+  const rooms = {};
+  const io = {
+    to(room) {
+      return { emit: (event, data) => (rooms[room] || [room]).forEach(id => sockets[id] && sockets[id].received.push({ event, data })) };
+    }
+  };
+  const connect = (id) => {
+    const handlers = {};
+    const socket = {
+      id, received: [],
+      on: (event, fn) => { handlers[event] = fn; },
+      emit: (event, data) => socket.received.push({ event, data }),
+      join: room => (rooms[room] = rooms[room] || new Set()).add(id),
+      leave: room => rooms[room] && rooms[room].delete(id),
+      // resolves with the ack body
+      request: (event, payload) => new Promise(resolve => handlers[event](payload, resolve))
+    };
+    sockets[id] = socket;
+    gameSocket(io, socket);
+    return socket;
+  };
+  return { connect };
+}
+
+// A new game between two connections, white the creator; `play` makes moves ("e2e4") in turn
+// and resolves with the last reply.
+async function newGame(gameId, options = {}) {
+  const server = fakeServer();
+  const white = server.connect(`${gameId}-w`);
+  const black = server.connect(`${gameId}-b`);
+  played.push(gameId);
+  const created = await white.request('createGame', { gameId, ...options });
+  await black.request('joinGame', { gameId });
+  let turn = 0;
+  const play = async (...moves) => {
+    let res;
+    for (const move of moves) {
+      const [from, to, promotion] = [move.slice(0, 2), move.slice(2, 4), move[4]];
+      res = await (turn++ % 2 ? black : white).request('makeMove', { gameId, from, to, promotion });
+      assert.strictEqual(res.ok, true, `${move}: ${res.message}`);
+    }
+    return res;
+  };
+  const gameOver = () => (white.received.find(({ event }) => event === 'gameOver') || {}).data;
+  return { white, black, created, play, gameOver };
+}
+
+// deleting the games waits for their saves still queued, so none lands in a removed directory
+test.after(async () => {
+  await Promise.all(played.map(gameId => store.deleteGame(gameId)));
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('a game can be fetched from the archive as soon as it is over', async () => {
+  const { white, black, play, gameOver } = await newGame('arch01');
+  await play('e2e4');
+  await black.request('resign', { gameId: 'arch01' });
+
+  const over = gameOver();
+  const res = await white.request('getArchivedGame', { archiveId: over.archiveId });
+  assert.strictEqual(res.ok, true);
+  assert.strictEqual(res.game.result.reason, 'resignation');
+  assert.match(res.game.pgn, /1\. e4 1-0/);
+});
+
+test('standard games end on checkmate', async () => {
+  const { play, gameOver } = await newGame('mate01');
+  await play('f2f3', 'e7e5', 'g2g4', 'd8h4');
+  assert.deepStrictEqual([gameOver().reason, gameOver().winner], ['checkmate', 'b']);
+});
+
+test('King of the Hill is won by reaching the centre', async () => {
+  const { play, gameOver } = await newGame('koth01', { variant: 'kingOfTheHill' });
+  await play('e2e3', 'a7a6', 'e1e2', 'a6a5', 'e2d3', 'a5a4');
+  assert.strictEqual(gameOver(), undefined);
+  await play('d3d4');
+  assert.deepStrictEqual([gameOver().reason, gameOver().winner], ['kingOfTheHill', 'w']);
+  assert.match(gameOver().pgn, /\[Variant "King of the Hill"\]/);
+});
+
+test('Three-check is won by the third check', async () => {
+  const { white, play, gameOver } = await newGame('tc01', { variant: 'threeCheck' });
+  await play('e2e4', 'd7d6', 'f1b5', 'c7c6', 'b5c6');
+  const board = white.received.filter(({ event }) => event === 'updateBoard').pop().data;
+  assert.deepStrictEqual(board.checks, { w: 2, b: 0 });
+  await play('b8c6', 'd1h5', 'a7a6', 'h5f7');
+  assert.deepStrictEqual([gameOver().reason, gameOver().winner], ['threeCheck', 'w']);
+  assert.match(gameOver().pgn, /\[Variant "Three-check"\]/);
+});
+
+test('Chess960 starts from a shuffled back rank and names the variant', async () => {
+  const { created, black, gameOver } = await newGame('c96001', { variant: 'chess960' });
+  assert.match(created.fen, /^[rnbqk]{8}\/p{8}\/8\/8\/8\/8\/P{8}\/[RNBQK]{8} w [A-H]{2}[a-h]{2} - 0 1$/);
+  await black.request('resign', { gameId: 'c96001' });
+  assert.match(gameOver().pgn, /\[Variant "Chess960"\]/);
+  assert.match(gameOver().pgn, /\[FEN "[^"]+ w [A-H]{2}[a-h]{2} - 0 1"\]/);
+});
+
+test('a restored game is judged by its own variant', async () => {
+  const server = fakeServer();
+  const viewer = server.connect('viewer');
+  const resultOf = async gameId => (await viewer.request('joinGame', { gameId })).result;
+  assert.strictEqual((await resultOf('stdbare')).reason, 'insufficient');
+  assert.strictEqual((await resultOf('stdfifty')).reason, 'fifty-move');
+  // a bare king can still walk to the hill, and a knight can still give check
+  assert.strictEqual(await resultOf('kothbare'), null);
+  assert.strictEqual(await resultOf('tcminor'), null);
+  assert.strictEqual((await resultOf('tcbare')).reason, 'insufficient');
+});
+
+test('reconnecting does not reset the quick message limit', async () => {
+  const server = fakeServer();
+  const white = server.connect('chat01-w');
+  played.push('chat01');
+  const { token } = await white.request('createGame', { gameId: 'chat01' });
+  for (let i = 0; i < 3; i++) assert.strictEqual((await white.request('quickMessage', { gameId: 'chat01', message: 'thinking' })).ok, true);
+  const again = server.connect('chat01-w2');
+  assert.strictEqual((await again.request('joinGame', { gameId: 'chat01', token })).color, 'w');
+  const res = await again.request('quickMessage', { gameId: 'chat01', message: 'thinking' });
+  assert.strictEqual(res.code, 'too_many_messages');
+});
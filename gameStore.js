@@ -0,0 +1,95 @@
+const fs = require('fs');
+const path = require('path');
+
+// One JSON file per game, so a crash can only ever lose the game being written.
+const STORE_DIR = process.env.GAME_STORE_DIR || path.join(__dirname, 'data', 'games');
+// Finished games are copied here for good; they're never pruned or rewritten.
+const ARCHIVE_DIR = process.env.GAME_ARCHIVE_DIR || path.join(__dirname, 'data', 'archive');
+
+const writes = {}; // key (gameId, "archive:…", "profile:…") -> promise chain, so writes to one file never interleave
+
+function fileFor(gameId) {
+  return path.join(STORE_DIR, `${encodeURIComponent(gameId)}.json`);
+}
+
+function archiveFileFor(archiveId) {
+  return path.join(ARCHIVE_DIR, `${encodeURIComponent(archiveId)}.json`);
+}
+
+// Runs `task` after every earlier one queued under `key`; profileStore.js queues its writes here too.
+function queue(key, task) {
+  const next = (writes[key] || Promise.resolve())
+    .then(task)
+    .catch(err => console.error(`gameStore: ${key}:`, err.message));
+  writes[key] = next;
+  next.then(() => { if (writes[key] === next) delete writes[key]; });
+  return next;
+}
+
+// Write to a temp file and rename, so a crash mid-write never leaves a truncated file behind.
+async function writeFileAtomic(file, data) {
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  await fs.promises.writeFile(tmp, data);
+  await fs.promises.rename(tmp, file);
+}
+
+function saveGame(gameId, record) {
+  const data = JSON.stringify({ gameId, ...record });
+  return queue(gameId, () => writeFileAtomic(fileFor(gameId), data));
+}
+
+function archiveGame(archiveId, record) {
+  const data = JSON.stringify({ archiveId, ...record });
+  return queue(`archive:${archiveId}`, () => writeFileAtomic(archiveFileFor(archiveId), data));
+}
+
+function deleteGame(gameId) {
+  return queue(gameId, () => fs.promises.rm(fileFor(gameId), { force: true }));
+}
+
+// Read every stored game at startup: gameId -> record. Unreadable files are skipped.
+function loadGames() {
+  const out = {};
+  if (!fs.existsSync(STORE_DIR)) return out;
+  for (const name of fs.readdirSync(STORE_DIR)) {
+    if (!name.endsWith('.json')) continue;
+    try {
+      const record = JSON.parse(fs.readFileSync(path.join(STORE_DIR, name), 'utf8'));
+      out[record.gameId] = record;
+    } catch (err) {
+      console.error(`gameStore: skipping ${name}:`, err.message);
+    }
+  }
+  return out;
+}
+
+// Every archived game without its PGN (or replay positions), for listing: archiveId -> summary. Unreadable files are skipped.
+function loadArchive() {
+  const out = {};
+  if (!fs.existsSync(ARCHIVE_DIR)) return out;
+  for (const name of fs.readdirSync(ARCHIVE_DIR)) {
+    if (!name.endsWith('.json')) continue;
+    try {
+      const { pgn, fens, moves, ...summary } = JSON.parse(fs.readFileSync(path.join(ARCHIVE_DIR, name), 'utf8'));
+      out[summary.archiveId] = summary;
+    } catch (err) {
+      console.error(`gameStore: skipping archived ${name}:`, err.message);
+    }
+  }
+  return out;
+}
+
+// One archived game with its PGN, or null if there's no such game. A game archived a moment ago
+// may still be on its way to disk, so its write is waited for first.
+async function loadArchivedGame(archiveId) {
+  await writes[`archive:${archiveId}`];
+  try {
+    return JSON.parse(await fs.promises.readFile(archiveFileFor(archiveId), 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.error(`gameStore: archived ${archiveId}:`, err.message);
+    return null;
+  }
+}
+
+module.exports = { saveGame, deleteGame, loadGames, archiveGame, loadArchive, loadArchivedGame, queue, writeFileAtomic };
@@ -0,0 +1,26 @@
+// Names shown for the server's variant keys and game-end reasons, shared by the lobby, the
+// archive and the game-over panel.
+
+// the same names as engine.js's VARIANTS, which the server writes into the PGN Variant tag
+export const VARIANTS = {
+  standard: 'Standard',
+  chess960: 'Chess960',
+  kingOfTheHill: 'King of the Hill',
+  threeCheck: 'Three-check'
+};
+
+// how a game was decided, to follow "White wins" or "Draw"; a variant's own win has the
+// variant's key as its reason
+export const REASONS = {
+  checkmate: 'by checkmate',
+  resignation: 'by resignation',
+  abandonment: 'by abandonment',
+  timeout: 'on time',
+  stalemate: 'by stalemate',
+  threefold: 'by threefold repetition',
+  'fifty-move': 'by the fifty-move rule',
+  insufficient: 'by insufficient material',
+  agreement: 'by agreement',
+  kingOfTheHill: 'with the king on the hill',
+  threeCheck: 'by third check'
+};
@@ -0,0 +1,124 @@
+// Chess Introvert - openingBook.js
+// A small bundled opening book: named ECO lines in SAN, each with a rough popularity weight.
+// The AIs pick weighted-random continuations from it so their games vary, and the move list
+// uses it to name the opening. Loaded as a plain script by the page and with require() by the server.
+
+const OPENING_BOOK = [
+  {eco: 'A00', name: 'Polish Opening', moves: 'b4', weight: 1},
+  {eco: 'A04', name: 'Zukertort Opening', moves: 'Nf3', weight: 4},
+  {eco: 'A05', name: 'Zukertort Opening: Quiet System', moves: 'Nf3 Nf6', weight: 3},
+  {eco: 'A09', name: 'Réti Opening', moves: 'Nf3 d5 c4', weight: 3},
+  {eco: 'A10', name: 'English Opening', moves: 'c4', weight: 4},
+  {eco: 'A20', name: "English Opening: King's English Variation", moves: 'c4 e5', weight: 3},
+  {eco: 'A30', name: 'English Opening: Symmetrical Variation', moves: 'c4 c5', weight: 2},
+  {eco: 'A40', name: "Queen's Pawn Game", moves: 'd4', weight: 2},
+  {eco: 'A45', name: 'Indian Defense', moves: 'd4 Nf6', weight: 2},
+  {eco: 'A46', name: 'Indian Defense: Knights Variation', moves: 'd4 Nf6 Nf3', weight: 2},
+  {eco: 'A56', name: 'Benoni Defense', moves: 'd4 Nf6 c4 c5', weight: 1},
+  {eco: 'A57', name: 'Benko Gambit', moves: 'd4 Nf6 c4 c5 d5 b5', weight: 1},
+  {eco: 'A80', name: 'Dutch Defense', moves: 'd4 f5', weight: 1},
+  {eco: 'B00', name: "King's Pawn Game", moves: 'e4', weight: 2},
+  {eco: 'B01', name: 'Scandinavian Defense', moves: 'e4 d5', weight: 2},
+  {eco: 'B01', name: 'Scandinavian Defense: Main Line', moves: 'e4 d5 exd5 Qxd5 Nc3 Qa5', weight: 2},
+  {eco: 'B02', name: 'Alekhine Defense', moves: 'e4 Nf6', weight: 1},
+  {eco: 'B06', name: 'Modern Defense', moves: 'e4 g6', weight: 1},
+  {eco: 'B07', name: 'Pirc Defense', moves: 'e4 d6 d4 Nf6 Nc3 g6', weight: 2},
+  {eco: 'B10', name: 'Caro-Kann Defense', moves: 'e4 c6', weight: 2},
+  {eco: 'B12', name: 'Caro-Kann Defense: Advance Variation', moves: 'e4 c6 d4 d5 e5', weight: 2},
+  {eco: 'B13', name: 'Caro-Kann Defense: Exchange Variation', moves: 'e4 c6 d4 d5 exd5 cxd5', weight: 1},
+  {eco: 'B15', name: 'Caro-Kann Defense: Main Line', moves: 'e4 c6 d4 d5 Nc3 dxe4 Nxe4', weight: 2},
+  {eco: 'B20', name: 'Sicilian Defense', moves: 'e4 c5', weight: 3},
+  {eco: 'B22', name: 'Sicilian Defense: Alapin Variation', moves: 'e4 c5 c3', weight: 2},
+  {eco: 'B23', name: 'Sicilian Defense: Closed', moves: 'e4 c5 Nc3', weight: 1},
+  {eco: 'B27', name: 'Sicilian Defense', moves: 'e4 c5 Nf3', weight: 2},
+  {eco: 'B30', name: 'Sicilian Defense: Old Sicilian', moves: 'e4 c5 Nf3 Nc6', weight: 2},
+  {eco: 'B33', name: 'Sicilian Defense: Sveshnikov Variation', moves: 'e4 c5 Nf3 Nc6 d4 cxd4 Nxd4 Nf6 Nc3 e5', weight: 2},
+  {eco: 'B40', name: 'Sicilian Defense: French Variation', moves: 'e4 c5 Nf3 e6', weight: 2},
+  {eco: 'B50', name: 'Sicilian Defense: Modern Variations', moves: 'e4 c5 Nf3 d6', weight: 2},
+  {eco: 'B54', name: 'Sicilian Defense: Open', moves: 'e4 c5 Nf3 d6 d4 cxd4 Nxd4', weight: 2},
+  {eco: 'B70', name: 'Sicilian Defense: Dragon Variation', moves: 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 g6', weight: 2},
+  {eco: 'B90', name: 'Sicilian Defense: Najdorf Variation', moves: 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 a6', weight: 3},
+  {eco: 'C00', name: 'French Defense', moves: 'e4 e6', weight: 2},
+  {eco: 'C01', name: 'French Defense: Exchange Variation', moves: 'e4 e6 d4 d5 exd5 exd5', weight: 1},
+  {eco: 'C02', name: 'French Defense: Advance Variation', moves: 'e4 e6 d4 d5 e5 c5', weight: 2},
+  {eco: 'C03', name: 'French Defense: Tarrasch Variation', moves: 'e4 e6 d4 d5 Nd2', weight: 2},
+  {eco: 'C11', name: 'French Defense: Classical Variation', moves: 'e4 e6 d4 d5 Nc3 Nf6', weight: 2},
+  {eco: 'C15', name: 'French Defense: Winawer Variation', moves: 'e4 e6 d4 d5 Nc3 Bb4', weight: 2},
+  {eco: 'C20', name: "King's Pawn Game", moves: 'e4 e5', weight: 2},
+  {eco: 'C23', name: "Bishop's Opening", moves: 'e4 e5 Bc4', weight: 1},
+  {eco: 'C25', name: 'Vienna Game', moves: 'e4 e5 Nc3', weight: 1},
+  {eco: 'C30', name: "King's Gambit", moves: 'e4 e5 f4', weight: 1},
+  {eco: 'C33', name: "King's Gambit Accepted", moves: 'e4 e5 f4 exf4', weight: 1},
+  {eco: 'C40', name: "King's Knight Opening", moves: 'e4 e5 Nf3', weight: 2},
+  {eco: 'C41', name: 'Philidor Defense', moves: 'e4 e5 Nf3 d6', weight: 1},
+  {eco: 'C42', name: 'Petrov Defense', moves: 'e4 e5 Nf3 Nf6 Nxe5 d6', weight: 2},
+  {eco: 'C44', name: "King's Knight Opening: Normal Variation", moves: 'e4 e5 Nf3 Nc6', weight: 2},
+  {eco: 'C45', name: 'Scotch Game', moves: 'e4 e5 Nf3 Nc6 d4 exd4 Nxd4', weight: 2},
+  {eco: 'C46', name: 'Three Knights Opening', moves: 'e4 e5 Nf3 Nc6 Nc3', weight: 1},
+  {eco: 'C47', name: 'Four Knights Game', moves: 'e4 e5 Nf3 Nc6 Nc3 Nf6', weight: 1},
+  {eco: 'C50', name: 'Italian Game', moves: 'e4 e5 Nf3 Nc6 Bc4', weight: 2},
+  {eco: 'C50', name: 'Italian Game: Giuoco Piano', moves: 'e4 e5 Nf3 Nc6 Bc4 Bc5 c3 Nf6', weight: 3},
+  {eco: 'C51', name: 'Italian Game: Evans Gambit', moves: 'e4 e5 Nf3 Nc6 Bc4 Bc5 b4', weight: 1},
+  {eco: 'C55', name: 'Italian Game: Two Knights Defense', moves: 'e4 e5 Nf3 Nc6 Bc4 Nf6', weight: 2},
+  {eco: 'C57', name: 'Italian Game: Two Knights Defense, Knight Attack', moves: 'e4 e5 Nf3 Nc6 Bc4 Nf6 Ng5 d5 exd5', weight: 1},
+  {eco: 'C60', name: 'Ruy Lopez', moves: 'e4 e5 Nf3 Nc6 Bb5', weight: 2},
+  {eco: 'C65', name: 'Ruy Lopez: Berlin Defense', moves: 'e4 e5 Nf3 Nc6 Bb5 Nf6 O-O Nxe4', weight: 2},
+  {eco: 'C68', name: 'Ruy Lopez: Exchange Variation', moves: 'e4 e5 Nf3 Nc6 Bb5 a6 Bxc6 dxc6', weight: 1},
+  {eco: 'C70', name: 'Ruy Lopez: Morphy Defense', moves: 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4', weight: 2},
+  {eco: 'C84', name: 'Ruy Lopez: Closed', moves: 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7 Re1 b5 Bb3 d6', weight: 3},
+  {eco: 'D00', name: "Queen's Pawn Game", moves: 'd4 d5', weight: 2},
+  {eco: 'D02', name: "Queen's Pawn Game: London System", moves: 'd4 d5 Nf3 Nf6 Bf4', weight: 2},
+  {eco: 'D06', name: "Queen's Gambit", moves: 'd4 d5 c4', weight: 2},
+  {eco: 'D10', name: 'Slav Defense', moves: 'd4 d5 c4 c6 Nf3 Nf6', weight: 2},
+  {eco: 'D20', name: "Queen's Gambit Accepted", moves: 'd4 d5 c4 dxc4', weight: 1},
+  {eco: 'D30', name: "Queen's Gambit Declined", moves: 'd4 d5 c4 e6', weight: 2},
+  {eco: 'D35', name: "Queen's Gambit Declined: Exchange Variation", moves: 'd4 d5 c4 e6 Nc3 Nf6 cxd5 exd5', weight: 1},
+  {eco: 'D43', name: 'Semi-Slav Defense', moves: 'd4 d5 c4 c6 Nf3 Nf6 Nc3 e6', weight: 2},
+  {eco: 'D80', name: 'Grünfeld Defense', moves: 'd4 Nf6 c4 g6 Nc3 d5', weight: 2},
+  {eco: 'E00', name: 'Indian Defense', moves: 'd4 Nf6 c4 e6', weight: 1},
+  {eco: 'E01', name: 'Catalan Opening', moves: 'd4 Nf6 c4 e6 g3 d5 Bg2', weight: 2},
+  {eco: 'E12', name: "Queen's Indian Defense", moves: 'd4 Nf6 c4 e6 Nf3 b6', weight: 2},
+  {eco: 'E20', name: 'Nimzo-Indian Defense', moves: 'd4 Nf6 c4 e6 Nc3 Bb4', weight: 3},
+  {eco: 'E60', name: "King's Indian Defense", moves: 'd4 Nf6 c4 g6', weight: 1},
+  {eco: 'E90', name: "King's Indian Defense: Normal Variation", moves: 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 Nf3 O-O', weight: 3}
+];
+
+const BOOK_LINES = OPENING_BOOK.map(line => ({...line, sans: line.moves.split(' ')}));
+
+// check and mate marks don't change which move it is
+function bareSan(san) {
+  return san.replace(/[+#]+$/, '');
+}
+
+// Weighted-random book reply to the game so far (SAN list from the initial position), or null
+// once the game has left the book or has `maxPlies` moves. Lines are matched move by move,
+// so a transposition into a book position isn't recognised.
+function bookMove(sans, maxPlies, random = Math.random) {
+  if (sans.length >= maxPlies) return null;
+  const played = sans.map(bareSan);
+  const weights = new Map();
+  for (const line of BOOK_LINES) {
+    if (line.sans.length <= played.length || !played.every((san, i) => line.sans[i] === san)) continue;
+    const next = line.sans[played.length];
+    weights.set(next, (weights.get(next) || 0) + line.weight);
+  }
+  let pick = random() * [...weights.values()].reduce((a, b) => a + b, 0);
+  for (const [san, weight] of weights) {
+    pick -= weight;
+    if (pick < 0) return san;
+  }
+  return null;
+}
+
+// The most specific named line the game has followed, as {eco, name}, or null.
+function openingFor(sans) {
+  const played = sans.map(bareSan);
+  let best = null;
+  for (const line of BOOK_LINES) {
+    if (line.sans.length > played.length || (best && line.sans.length <= best.sans.length)) continue;
+    if (line.sans.every((san, i) => played[i] === san)) best = line;
+  }
+  return best && {eco: best.eco, name: best.name};
+}
+
+if (typeof module !== 'undefined') module.exports = {OPENING_BOOK, bookMove, openingFor};
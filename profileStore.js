@@ -0,0 +1,33 @@
+const fs = require('fs');
+const path = require('path');
+const { queue, writeFileAtomic } = require('./gameStore');
+
+// Player profiles, one JSON file each, written through gameStore.js's queue like the games.
+const STORE_DIR = process.env.PROFILE_STORE_DIR || path.join(__dirname, 'data', 'profiles');
+
+function fileFor(profileId) {
+  return path.join(STORE_DIR, `${encodeURIComponent(profileId)}.json`);
+}
+
+function saveProfile(profileId, record) {
+  const data = JSON.stringify({ profileId, ...record });
+  return queue(`profile:${profileId}`, () => writeFileAtomic(fileFor(profileId), data));
+}
+
+// Read every stored profile at startup: profileId -> record. Unreadable files are skipped.
+function loadProfiles() {
+  const out = {};
+  if (!fs.existsSync(STORE_DIR)) return out;
+  for (const name of fs.readdirSync(STORE_DIR)) {
+    if (!name.endsWith('.json')) continue;
+    try {
+      const record = JSON.parse(fs.readFileSync(path.join(STORE_DIR, name), 'utf8'));
+      out[record.profileId] = record;
+    } catch (err) {
+      console.error(`profileStore: skipping ${name}:`, err.message);
+    }
+  }
+  return out;
+}
+
+module.exports = { saveProfile, loadProfiles };
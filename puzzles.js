@@ -0,0 +1,55 @@
+// Chess Introvert - puzzles.js
+// Tactics puzzles in the Lichess puzzle CSV format, and the rating maths for the trainer in script.js.
+// Columns: PuzzleId,FEN,Moves,Rating,RatingDeviation,Popularity,NbPlays,Themes,GameUrl,OpeningTags
+// FEN is the position before the opponent's move; Moves are UCI, the first one being that opponent move
+// and the rest the solution, alternating solver / opponent. Needs engine.js (parseSquare) and
+// rating.js (expectedScore).
+
+// a few puzzles so the trainer works before a file is loaded
+const BUILTIN_PUZZLES = `PuzzleId,FEN,Moves,Rating,RatingDeviation,Popularity,NbPlays,Themes,GameUrl,OpeningTags
+ci001,r5k1/5ppp/8/8/8/8/5PPP/3R2K1 b - - 0 1,a8a2 d1d8,600,75,90,0,backRankMate endgame mate mateIn1 oneMove,,
+ci002,rnbqkbnr/pppp1ppp/8/4p3/8/5P2/PPPPP1PP/RNBQKBNR w KQkq - 0 2,g2g4 d8h4,650,75,90,0,mate mateIn1 opening oneMove,,
+ci003,r1bqkbnr/pppp1ppp/2n5/4p2Q/2B1P3/8/PPPP1PPP/RNB1K1NR b KQkq - 3 3,g8f6 h5f7,700,75,90,0,kingsideAttack mate mateIn1 opening oneMove,,Kings_Pawn_Game
+ci004,r7/4k3/8/1N6/8/8/8/4K3 b - - 0 1,e7e8 b5c7 e8d7 c7a8,950,75,90,0,endgame fork short,,
+ci005,5r1k/6pp/7N/3Q4/1q6/8/1P3PPP/6K1 b - - 0 1,b4b2 d5g8 f8g8 h6f7,1300,75,90,0,mate mateIn2 sacrifice short smotheredMate,,`;
+
+const PUZZLE_START_RATING = 1200;
+const PUZZLE_K = 32;
+
+// Parses CSV text into [{id, fen, moves: [uci], rating, themes: [..]}]. Rows that don't look like a
+// puzzle are skipped rather than failing the whole file; the FEN itself is checked when one is played.
+function parsePuzzleCsv(text) {
+  const puzzles = [];
+  for (const line of text.split(/\r?\n/)) {
+    const [id, fen, moves, rating, , , , themes = ''] = line.split(',');
+    if (!id || id === 'PuzzleId' || !fen || !moves) continue;
+    const uci = moves.trim().split(/\s+/);
+    if (uci.length < 2 || !uci.every(m => /^[a-h][1-8][a-h][1-8][qrbn]?$/.test(m))) continue;
+    if (!/^\d+$/.test(rating)) continue;
+    puzzles.push({id, fen: fen.trim(), moves: uci, rating: +rating, themes: themes.split(/\s+/).filter(Boolean)});
+  }
+  return puzzles;
+}
+
+// {from, to, promotion?} for a UCI move like "e7e8q"; matched against the legal moves by the caller
+function uciToMove(uci) {
+  const mv = {from: parseSquare(uci.slice(0, 2)), to: parseSquare(uci.slice(2, 4))};
+  if (uci[4]) mv.promotion = uci[4];
+  return mv;
+}
+
+// Elo against the puzzle's own rating: solving an easy one gains little, failing it costs a lot
+function updatePuzzleRating(rating, puzzleRating, solved) {
+  return Math.round(rating + PUZZLE_K * ((solved ? 1 : 0) - expectedScore(rating, puzzleRating)));
+}
+
+// One of the few puzzles rated closest to `rating`, preferring ones not played yet (ids in `done`),
+// so the puzzles get harder as the rating climbs.
+function pickPuzzle(puzzles, rating, done, random = Math.random) {
+  const seen = new Set(done);
+  const fresh = puzzles.filter(p => !seen.has(p.id));
+  const pool = (fresh.length ? fresh : puzzles).slice()
+    .sort((a, b) => Math.abs(a.rating - rating) - Math.abs(b.rating - rating))
+    .slice(0, 5);
+  return pool.length ? pool[Math.floor(random() * pool.length)] : null;
+}
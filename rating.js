@@ -0,0 +1,20 @@
+// Chess Introvert - rating.js
+// Elo ratings for player profiles. Loaded as a plain script by the page (local profiles against
+// the AI levels) and with require() by the server (gameSocket.js).
+
+const START_RATING = 1200;
+const PROVISIONAL_GAMES = 20; // a new rating moves twice as fast until it has settled
+
+// chance of scoring against `opponentRating`, between 0 and 1
+function expectedScore(rating, opponentRating) {
+  return 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+}
+
+// The rating after one game; `score` is 1 for a win, 0.5 for a draw and 0 for a loss, and
+// `played` counts the rated games before this one.
+function updateRating(rating, opponentRating, score, played = 0) {
+  const k = played < PROVISIONAL_GAMES ? 40 : 20;
+  return Math.round(rating + k * (score - expectedScore(rating, opponentRating)));
+}
+
+if (typeof module !== 'undefined') module.exports = {START_RATING, expectedScore, updateRating};
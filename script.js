@@ -1,5 +1,7 @@
 // Chess Introvert - script.js
-// Features: UI, timer, undo/restart, sounds, background music, difficulty levels, minimax AI with alpha-beta
+// Features: UI, chess clocks, undo/restart, sounds, background music, difficulty levels, AI search in a Web Worker,
+// full move legality (castling, en passant, promotion, check), game-end detection, FEN/PGN import/export,
+// a tactics puzzle trainer, keyboard and screen-reader play, and the Chess960, King of the Hill and Three-check variants
 
 /* ---------------------------
    Lightweight chess engine:
@@ -21,78 +23,268 @@ const initialBoard = [
 let board = JSON.parse(JSON.stringify(initialBoard));
 let moves = [];
 let sideToMove = 'w'; // 'w' or 'b'
+let castlingRights = 'KQkq'; // subset of "KQkq", '' once all rights are gone
+let enPassant = null; // [r,c] square a pawn may capture onto this turn, or null
+let halfmoveClock = 0; // plies since the last capture or pawn move (50-move rule)
+let fullmoveNumber = 1;
+let positionHistory = []; // repetition keys, one per position reached
+let gameResult = null; // {result:'1-0'|'0-1'|'1/2-1/2', reason} once the game is over
+let startFen = START_FEN; // position the current game began from (FEN/PGN import can change it)
+let pgnTags = {}; // tags kept from an imported PGN so export round-trips them
+let viewPly = null; // ply shown while reviewing the move list; null = live game
 let selectedCell = null;
+let dragFrom = null; // [r,c] of the piece being dragged
+let squareEls = []; // the board's 64 square elements, index r*8 + c
+let pieceEls = []; // the glyph inside each square, same index
+let coordEls = []; // each square's {rank, file} labels, filled in along the edges
+let boardGridEl = null;
+let rowEls = []; // the grid's eight rows, rank 8 first
+let focusedCell = [7, 4]; // the square keyboard focus sits on; only it is in the tab order
+let pendingPromotion = null; // the player's pawn move waiting for a piece from the promotion picker
+let shownFrom = null; // the side at the bottom of the board as last rendered
+let humanColor = 'w'; // the side the player takes against the AI
+let variant = 'standard'; // a key of VARIANTS (engine.js)
+let flipped = false; // the flip button turns the board away from the player's own side
 let moveList = [];
-let timerInterval = null;
-let seconds = 0;
+let clockInterval = null;
+let clockTimes = {w: 0, b: 0}; // ms left per side (time used, for untimed games) as of the last move
+let clockTurnStart = null; // Date.now() when the side to move started thinking; null while stopped
 let soundsEnabled = true;
 let musicPlaying = false;
 let backgroundAudio = null;
 
 // difficulty map: value -> {label, depth}
+// bookPlies: how far into the game the AI may still play from the opening book
+// rating: what a rated game against the level counts it as (a rough guide, not a measurement)
 const DIFFICULTIES = {
-  1: {label: "Beginner", depth: 1},
-  2: {label: "Advanced", depth: 2},
-  3: {label: "Master", depth: 3},
-  4: {label: "Expert", depth: 4},
-  5: {label: "Grandmaster", depth: 5} // depth 5 is already strong for a JS browser engine
+  1: {label: "Beginner", depth: 1, bookPlies: 0, rating: 400},
+  2: {label: "Advanced", depth: 2, bookPlies: 4, rating: 900},
+  3: {label: "Master", depth: 3, bookPlies: 8, rating: 1200},
+  4: {label: "Expert", depth: 4, bookPlies: 12, rating: 1500},
+  5: {label: "Grandmaster", depth: 5, bookPlies: 20, rating: 1800} // depth 5 is already strong for a JS browser engine
 };
 
 const boardEl = document.getElementById('board');
 const movesEl = document.getElementById('moves');
+const openingEl = document.getElementById('opening');
 const difficultySelect = document.getElementById('difficulty');
 const diffIndicator = document.querySelector('#difficulty-indicator .text');
 const diffDot = document.querySelector('#difficulty-indicator .dot');
 const undoBtn = document.getElementById('btn-undo');
 const restartBtn = document.getElementById('btn-restart');
-const timerEl = document.getElementById('timer');
+const timeControlSelect = document.getElementById('time-control');
+const playerColorSelect = document.getElementById('player-color');
+const variantSelect = document.getElementById('variant');
+const flipBtn = document.getElementById('btn-flip');
+const promotionPicker = document.getElementById('promotion-picker');
+const moveForm = document.getElementById('move-form');
+const moveInput = document.getElementById('move-input');
+const announcerEl = document.getElementById('move-announcer');
+const clockEls = {w: document.getElementById('clock-w'), b: document.getElementById('clock-b')};
 const soundBtn = document.getElementById('btn-sound');
 const soundIcon = document.getElementById('sound-icon');
 const musicBtn = document.getElementById('btn-music');
+const statusEl = document.getElementById('game-status');
+const ioText = document.getElementById('io-text');
+const ioMessage = document.getElementById('io-message');
+const loadFenBtn = document.getElementById('btn-load-fen');
+const loadPgnBtn = document.getElementById('btn-load-pgn');
+const exportFenBtn = document.getElementById('btn-export-fen');
+const exportPgnBtn = document.getElementById('btn-export-pgn');
+const navFirstBtn = document.getElementById('btn-nav-first');
+const navPrevBtn = document.getElementById('btn-nav-prev');
+const navNextBtn = document.getElementById('btn-nav-next');
+const navLastBtn = document.getElementById('btn-nav-last');
+const reviewEl = document.getElementById('review-status');
+const aiStatusEl = document.getElementById('ai-status');
+const analyseBtn = document.getElementById('btn-analyse');
+const analysisEl = document.getElementById('analysis');
+const evalGraphEl = document.getElementById('eval-graph');
+const accuracyEl = document.getElementById('accuracy');
+const analysisNoteEl = document.getElementById('analysis-note');
+const hintBtn = document.getElementById('btn-hint');
+const evalToggle = document.getElementById('eval-toggle');
+const evalBarEl = document.getElementById('eval-bar');
+const evalFillEl = evalBarEl.querySelector('.eval-fill');
+const evalTextEl = evalBarEl.querySelector('.eval-text');
+const puzzleBtn = document.getElementById('btn-puzzle');
+const puzzleExitBtn = document.getElementById('btn-puzzle-exit');
+const puzzleFileInput = document.getElementById('puzzle-file');
+const puzzleRatingEl = document.getElementById('puzzle-rating');
+const puzzleStatusEl = document.getElementById('puzzle-status');
+const profileSelect = document.getElementById('profile-select');
+const profileNameInput = document.getElementById('profile-name');
+const addProfileBtn = document.getElementById('btn-add-profile');
+const ratedToggle = document.getElementById('rated-toggle');
+const profileSummaryEl = document.getElementById('profile-summary');
+const profileRecordEl = document.getElementById('profile-record');
+const profileHistoryEl = document.getElementById('profile-history');
 
 function init() {
+  // the page always opens on a normal game, whatever the browser restored in the form
+  setVariant('standard');
+  positionHistory = [positionKey()];
+  pickSide();
   renderBoard();
   attachControls();
-  startTimer();
+  resetClock();
   loadAudio();
   updateDifficultyIndicator();
+  renderPuzzle();
+  beginRatedGame();
 }
 
-function renderBoard() {
-  // create 8x8 grid
-  boardEl.innerHTML = '';
-  const table = document.createElement('div');
-  table.className = 'chessboard-grid';
-  table.style.display = 'grid';
-  table.style.gridTemplateColumns = 'repeat(8, 1fr)';
-  table.style.gap = '0';
-  table.style.aspectRatio = '1/1';
-  table.style.width = '100%';
-  table.style.height = '100%';
+const PIECE_NAMES = {p: 'pawn', n: 'knight', b: 'bishop', r: 'rook', q: 'queen', k: 'king'};
+
+// Builds the 8x8 grid once; renderBoard updates the squares in place after that. It is an ARIA
+// grid of rows and cells, so screen readers can move through it like a table.
+function buildBoard() {
+  boardGridEl = document.createElement('div');
+  boardGridEl.className = 'chessboard-grid';
+  boardGridEl.setAttribute('role', 'grid');
+  boardGridEl.addEventListener('keydown', onBoardKeydown);
   for (let r=0; r<8; r++) {
+    const row = document.createElement('div');
+    row.className = 'board-row';
+    row.setAttribute('role', 'row');
+    rowEls.push(row);
     for (let c=0; c<8; c++) {
       const square = document.createElement('div');
       square.dataset.r = r;
       square.dataset.c = c;
-      square.className = 'square';
-      const dark = (r + c) % 2 === 1;
-      square.style.background = dark ? '#151515' : '#0b0b0b';
-      square.style.display = 'flex';
-      square.style.alignItems = 'center';
-      square.style.justifyContent = 'center';
-      square.style.fontSize = '28px';
-      square.style.color = '#fff';
-      square.style.cursor = 'pointer';
-      square.style.transition = 'transform .08s';
-      const piece = board[r][c];
-      if (piece !== '.') {
-        square.innerHTML = getPieceChar(piece);
-      }
+      square.className = (r + c) % 2 === 1 ? 'square dark' : 'square light';
+      square.setAttribute('role', 'gridcell');
+      square.tabIndex = -1;
+      const piece = document.createElement('span');
+      piece.className = 'piece';
+      piece.setAttribute('aria-hidden', 'true');
+      const rank = document.createElement('span');
+      rank.className = 'coord coord-rank';
+      const file = document.createElement('span');
+      file.className = 'coord coord-file';
+      rank.setAttribute('aria-hidden', 'true');
+      file.setAttribute('aria-hidden', 'true');
+      square.append(piece, rank, file);
       square.addEventListener('click', onSquareClick);
-      table.appendChild(square);
+      square.addEventListener('dragstart', onDragStart);
+      square.addEventListener('dragover', onDragOver);
+      square.addEventListener('drop', onDrop);
+      square.addEventListener('dragend', onDragEnd);
+      squareEls.push(square);
+      pieceEls.push(piece);
+      coordEls.push({rank, file});
+    }
+  }
+  boardEl.appendChild(boardGridEl);
+}
+
+// the side shown at the bottom: the player's (the solver's in a puzzle), unless flipped
+function bottomSide() {
+  const own = puzzle && puzzle.solver ? puzzle.solver : humanColor;
+  return flipped ? (own === 'w' ? 'b' : 'w') : own;
+}
+
+// Lays the squares out with `side` at the bottom. Each square keeps its own [r,c], so clicks and
+// drops map to the right square either way; only the order and the edge labels change.
+function orientBoard(side) {
+  for (let i=0; i<8; i++) {
+    const r = side === 'w' ? i : 7 - i;
+    boardGridEl.appendChild(rowEls[r]);
+    for (let j=0; j<8; j++) rowEls[r].appendChild(squareEls[r*8 + (side === 'w' ? j : 7 - j)]);
+  }
+  boardGridEl.setAttribute('aria-label', `Chess board, ${side === 'w' ? 'White' : 'Black'} at the bottom`);
+  for (let r=0; r<8; r++) {
+    for (let c=0; c<8; c++) {
+      const {rank, file} = coordEls[r*8 + c];
+      rank.textContent = c === (side === 'w' ? 0 : 7) ? String(8 - r) : '';
+      file.textContent = r === (side === 'w' ? 7 : 0) ? 'abcdefgh'[c] : '';
     }
   }
-  boardEl.appendChild(table);
+  evalBarEl.classList.toggle('flipped', side === 'b');
+  shownFrom = side;
+}
+
+// Brings the squares in line with the position shown: pieces, the selection and where it can go,
+// the last move, a king in check and the hint. Only what changed touches the DOM.
+function renderBoard() {
+  if (!squareEls.length) buildBoard();
+  if (shownFrom !== bottomSide()) orientBoard(bottomSide());
+  const ply = currentPly();
+  const shown = positionAtPly(ply);
+  const last = ply ? moves[ply - 1] : null;
+  const checked = isInCheck(shown.board, shown.side) ? findKing(shown.board, shown.side) : null;
+  const targets = selectedTargets();
+  const at = (sq, r, c) => !!sq && sq[0] === r && sq[1] === c;
+  for (let r=0; r<8; r++) {
+    for (let c=0; c<8; c++) {
+      const square = squareEls[r*8 + c];
+      const piece = shown.board[r][c];
+      const glyph = piece === '.' ? '' : getPieceChar(piece);
+      if (pieceEls[r*8 + c].textContent !== glyph) pieceEls[r*8 + c].textContent = glyph;
+      const draggable = canPickUp(r, c);
+      if (square.draggable !== draggable) square.draggable = draggable;
+      square.classList.toggle('selected', at(selectedCell, r, c));
+      square.classList.toggle('last-move', !!last && (at(last.from, r, c) || at(last.to, r, c)));
+      square.classList.toggle('in-check', at(checked, r, c));
+      square.classList.toggle('hint', isHintSquare(r, c));
+      square.classList.toggle('hill', variant === 'kingOfTheHill' && HILL.includes(`${r},${c}`));
+      square.classList.toggle('legal-move', targets.get(r*8 + c) === false);
+      square.classList.toggle('legal-capture', targets.get(r*8 + c) === true);
+      const label = squareLabel(r, c, piece, targets.has(r*8 + c));
+      if (square.getAttribute('aria-label') !== label) square.setAttribute('aria-label', label);
+      const selected = at(selectedCell, r, c) ? 'true' : 'false';
+      if (square.getAttribute('aria-selected') !== selected) square.setAttribute('aria-selected', selected);
+      const tabIndex = at(focusedCell, r, c) ? 0 : -1;
+      if (square.tabIndex !== tabIndex) square.tabIndex = tabIndex;
+    }
+  }
+  refreshEval();
+}
+
+// what a screen reader says for a square: "e4, white knight", "d5, empty, can move here"
+function squareLabel(r, c, piece, target) {
+  const what = piece === '.' ? 'empty' : `${pieceColor(piece) === 'w' ? 'white' : 'black'} ${PIECE_NAMES[piece.toLowerCase()]}`;
+  return `${squareName(r, c)}, ${what}${target ? ', can move here' : ''}`;
+}
+
+// Arrow keys walk the board as it is shown, Enter or Space acts like a click, Escape puts the
+// selected piece down
+function onBoardKeydown(e) {
+  const steps = {ArrowUp: [-1, 0], ArrowDown: [1, 0], ArrowLeft: [0, -1], ArrowRight: [0, 1]};
+  const [r, c] = focusedCell;
+  if (steps[e.key]) {
+    const dir = shownFrom === 'b' ? -1 : 1;
+    const clamp = n => Math.max(0, Math.min(7, n));
+    focusSquare(clamp(r + steps[e.key][0] * dir), clamp(c + steps[e.key][1] * dir));
+  } else if (e.key === 'Enter' || e.key === ' ') {
+    onSquareClick.call(squareEls[r*8 + c]);
+  } else if (e.key === 'Escape' && selectedCell) {
+    selectedCell = null;
+    renderBoard();
+  } else {
+    return;
+  }
+  e.preventDefault();
+}
+
+function focusSquare(r, c) {
+  squareEls[focusedCell[0]*8 + focusedCell[1]].tabIndex = -1;
+  focusedCell = [r, c];
+  squareEls[r*8 + c].tabIndex = 0;
+  squareEls[r*8 + c].focus();
+}
+
+// where the selected piece can go: square index -> whether the move captures (a Chess960 castle
+// lands on the player's own rook, which is no capture)
+function selectedTargets() {
+  const targets = new Map();
+  if (!selectedCell || viewPly !== null) return targets;
+  const [sr, sc] = selectedCell;
+  for (const mv of generateLegalMoves(board, sideToMove, castlingRights, enPassant)) {
+    if (mv.from[0] !== sr || mv.from[1] !== sc) continue;
+    targets.set(mv.to[0]*8 + mv.to[1], (!mv.castle && board[mv.to[0]][mv.to[1]] !== '.') || !!mv.enPassant);
+  }
+  return targets;
 }
 
 function getPieceChar(p) {
@@ -104,187 +296,637 @@ function getPieceChar(p) {
   return map[p] || '';
 }
 
-function onSquareClick(e) {
+// whether the player may pick up the piece on [r,c] right now
+function canPickUp(r, c) {
+  // earlier positions are read-only, and the AI's pieces are off limits while it's thinking
+  if (viewPly !== null || gameResult || isAiTurn()) return false;
+  // in a puzzle only the solver moves, and only until it's solved
+  if (puzzle && (puzzle.solved || sideToMove !== puzzle.solver)) return false;
+  return isPieceOwnedBySide(board[r][c], sideToMove);
+}
+
+// Plays the player's move, from a click or a drop. False when it isn't a legal move, so the click
+// can select something else instead; a legal but wrong puzzle move is refused and counts as handled.
+function playerMove(move) {
+  if (!canPickUp(move.from[0], move.from[1])) return false;
+  if (needsPromotionChoice(move)) {
+    openPromotionPicker(move);
+    return true;
+  }
+  if (puzzle && puzzleRejects(move)) {
+    selectedCell = null;
+    renderBoard();
+    return true;
+  }
+  if (!makeMoveIfLegal(move)) return false;
+  selectedCell = null;
+  postMoveActions();
+  return true;
+}
+
+function onSquareClick() {
+  // a click on the board takes you back to the game from an earlier position
+  if (viewPly !== null) { returnToLive(); return; }
+  // or, with the promotion picker open, puts the pawn back
+  if (pendingPromotion) {
+    closePromotionPicker();
+    selectedCell = null;
+    renderBoard();
+    return;
+  }
   const r = +this.dataset.r;
   const c = +this.dataset.c;
-  const piece = board[r][c];
-  if (selectedCell) {
-    const [sr, sc] = selectedCell;
-    if (sr === r && sc === c) {
-      selectedCell = null;
-      renderBoard();
-      return;
-    }
-    // attempt move
-    const move = {from:[sr,sc], to:[r,c]};
-    if (makeMoveIfLegal(move)) {
-      selectedCell = null;
-      renderBoard();
-      postMoveActions();
-    } else {
-      // select another piece if same side
-      if (piece !== '.' && isPieceOwnedBySide(piece, sideToMove)) {
-        selectedCell = [r,c];
-        highlightSelection();
-      }
-    }
-  } else {
-    if (piece !== '.' && isPieceOwnedBySide(piece, sideToMove)) {
-      selectedCell = [r,c];
-      highlightSelection();
-    }
-  }
+  focusedCell = [r,c];
+  const again = selectedCell && selectedCell[0] === r && selectedCell[1] === c;
+  if (selectedCell && !again && playerMove({from: selectedCell, to: [r,c]})) return;
+  // clicking the selected piece puts it down; clicking another of yours picks that one up
+  selectedCell = !again && canPickUp(r, c) ? [r,c] : null;
+  renderBoard();
+}
+
+// Drag and drop: picking a piece up selects it, so the destinations show while it's dragged
+function onDragStart(e) {
+  const r = +this.dataset.r;
+  const c = +this.dataset.c;
+  if (!canPickUp(r, c)) { e.preventDefault(); return; }
+  dragFrom = [r,c];
+  selectedCell = [r,c];
+  e.dataTransfer.effectAllowed = 'move';
+  e.dataTransfer.setData('text/plain', squareName(r, c)); // some browsers won't drag without data
+  renderBoard();
+}
+
+function onDragOver(e) {
+  if (dragFrom) e.preventDefault(); // lets the square take the drop
 }
 
-function highlightSelection() {
-  // highlight selected cell and possible moves (simple visual)
-  const squares = boardEl.querySelectorAll('.square');
-  squares.forEach(s => s.style.outline = '');
-  if (!selectedCell) return;
-  const [sr,sc] = selectedCell;
-  const idx = sr*8 + sc;
-  squares[idx].style.outline = '3px solid rgba(255,44,251,0.6)';
+function onDrop(e) {
+  e.preventDefault();
+  if (!dragFrom) return;
+  const from = dragFrom;
+  dragFrom = null;
+  const to = [+this.dataset.r, +this.dataset.c];
+  // dropped back on its own square: it stays selected, to be moved with a click
+  if (from[0] === to[0] && from[1] === to[1]) return;
+  if (playerMove({from, to})) return;
+  selectedCell = null;
+  renderBoard();
+}
+
+function onDragEnd() {
+  dragFrom = null;
+}
+
+// a pawn reaching the last rank without a piece chosen yet
+function needsPromotionChoice(move) {
+  if (move.promotion) return false;
+  return generateLegalMoves(board, sideToMove, castlingRights, enPassant).some(m => m.promotion &&
+    m.from[0] === move.from[0] && m.from[1] === move.from[1] && m.to[0] === move.to[0] && m.to[1] === move.to[1]);
+}
+
+// Holds the move back and offers queen, rook, bishop or knight in the mover's colour
+function openPromotionPicker(move) {
+  pendingPromotion = move;
+  selectedCell = move.from;
+  promotionPicker.querySelectorAll('button[data-piece]').forEach(btn => {
+    const p = btn.dataset.piece;
+    btn.textContent = getPieceChar(sideToMove === 'w' ? p.toUpperCase() : p);
+  });
+  promotionPicker.hidden = false;
+  renderBoard();
+  const first = promotionPicker.querySelector('button[data-piece]');
+  if (first) first.focus();
 }
 
+function closePromotionPicker() {
+  pendingPromotion = null;
+  promotionPicker.hidden = true;
+}
+
+promotionPicker.addEventListener('click', (e) => {
+  const btn = e.target.closest('button');
+  if (!btn || !pendingPromotion) return;
+  const move = btn.dataset.piece ? {...pendingPromotion, promotion: btn.dataset.piece} : null;
+  closePromotionPicker();
+  selectedCell = null;
+  if (!move || !playerMove(move)) renderBoard();
+});
+
+promotionPicker.addEventListener('keydown', (e) => {
+  if (e.key !== 'Escape' || !pendingPromotion) return;
+  closePromotionPicker();
+  selectedCell = null;
+  renderBoard();
+});
+
 function isPieceOwnedBySide(piece, side) {
   if (piece === '.') return false;
   return side === 'w' ? piece === piece.toUpperCase() : piece === piece.toLowerCase();
 }
 
-/* ---------- Minimal move legality (not full chess rules) ----------
-   For demo we implement basic moves (pawn, rook, knight, bishop, queen, king),
-   capture allowed, no en-passant/castling/promotion complexities for simplicity.
-   This keeps code small and fast. You can extend later.
+/* ---------- Playing moves on the live game ----------
+   The rules themselves live in engine.js; this is the game state around them.
 ------------------------------------------------------------------ */
 
 function makeMoveIfLegal(move) {
+  if (gameResult) return false;
   const [fr,fc] = move.from;
   const [tr,tc] = move.to;
-  const piece = board[fr][fc];
-  if (piece === '.') return false;
-  // ownership
-  if (!isPieceOwnedBySide(piece, sideToMove)) return false;
-  // same square
-  if (fr === tr && fc === tc) return false;
-  // simple rules:
-  const dir = (piece === 'P') ? -1 : (piece === 'p') ? 1 : null;
-  const target = board[tr][tc];
-  // friendly capture disallowed
-  if (target !== '.' && ((target === target.toUpperCase()) === (piece === piece.toUpperCase()))) return false;
-
-  // piece type
-  const t = piece.toLowerCase();
-  if (t === 'p') {
-    // pawn
-    const forward = (piece === 'P') ? -1 : 1;
-    if (fc === tc && target === '.') {
-      if (tr === fr + forward) {
-        // single step
-      } else if ((fr === 6 && piece === 'P' && tr === 4) || (fr ===1 && piece === 'p' && tr === 3)) {
-        // allow double step from start (no en-passant)
-      } else return false;
-    } else if (Math.abs(tc-fc) === 1 && tr === fr + forward && target !== '.') {
-      // capture
-    } else return false;
-  } else if (t === 'n') {
-    if (!((Math.abs(tr-fr)===1 && Math.abs(tc-fc)===2) || (Math.abs(tr-fr)===2 && Math.abs(tc-fc)===1))) return false;
-  } else if (t === 'b') {
-    if (Math.abs(tr-fr) !== Math.abs(tc-fc)) return false;
-    if (!isPathClear(fr,fc,tr,tc)) return false;
-  } else if (t === 'r') {
-    if (tr !== fr && tc !== fc) return false;
-    if (!isPathClear(fr,fc,tr,tc)) return false;
-  } else if (t === 'q') {
-    if (tr !== fr && tc !== fc && Math.abs(tr-fr) !== Math.abs(tc-fc)) return false;
-    if (!isPathClear(fr,fc,tr,tc)) return false;
-  } else if (t === 'k') {
-    if (Math.max(Math.abs(tr-fr), Math.abs(tc-fc)) > 1) return false;
-  }
-
-  // make move
-  const moveNotation = notationForMove(fr,fc,tr,tc, piece, target);
-  board[tr][tc] = board[fr][fc];
-  board[fr][fc] = '.';
-  moves.push({from:[fr,fc], to:[tr,tc], piece, captured: target, notation: moveNotation});
-  moveList.push(moveNotation);
+  const promotion = move.promotion || 'q';
+  const legal = generateLegalMoves(board, sideToMove, castlingRights, enPassant);
+  const mv = legal.find(m => m.from[0] === fr && m.from[1] === fc && m.to[0] === tr && m.to[1] === tc &&
+    (!m.promotion || m.promotion === promotion));
+  if (!mv) return false;
+
+  viewPly = null;
+  const mover = sideToMove;
+  const record = applyMove(mv);
+  bankClock(mover);
+  // playing on from an imported game makes its recorded result (and any analysis of it) stale
+  delete pgnTags.Result;
+  cancelAnalysis();
   updateMovesUI();
-  playSound('move');
-  sideToMove = (sideToMove === 'w') ? 'b' : 'w';
+  playSound(record.captured !== '.' ? 'capture' : 'move');
+  checkGameEnd();
+  announce(`${describeMove(record)}${gameResult ? '. ' + statusEl.textContent : isInCheck(board, sideToMove) ? ', check' : ''}`);
   return true;
 }
 
-function isPathClear(fr,fc,tr,tc) {
-  const dr = Math.sign(tr-fr);
-  const dc = Math.sign(tc-fc);
-  let r = fr + dr, c = fc + dc;
-  while (r !== tr || c !== tc) {
-    if (board[r][c] !== '.') return false;
-    r += dr; c += dc;
+// "White knight g1 to f3", "Black pawn e4 takes pawn on d3 en passant", "White castles kingside"
+function describeMove(m) {
+  const side = pieceColor(m.piece) === 'w' ? 'White' : 'Black';
+  if (m.castle) return `${side} castles ${m.castle === 'k' ? 'kingside' : 'queenside'}`;
+  const from = squareName(m.from[0], m.from[1]);
+  const to = squareName(m.to[0], m.to[1]);
+  let text = `${side} ${PIECE_NAMES[m.piece.toLowerCase()]} ${from} ` +
+    (m.captured !== '.' ? `takes ${PIECE_NAMES[m.captured.toLowerCase()]} on ${to}` : `to ${to}`);
+  if (m.enPassant) text += ' en passant';
+  if (m.promotion) text += `, promotes to ${PIECE_NAMES[m.promotion]}`;
+  return text;
+}
+
+// the live region under the board: read out by screen readers, and shown to everyone
+function announce(text) {
+  announcerEl.textContent = text;
+}
+
+/* ---------- Typed moves: SAN like Nf3, exd5, O-O, e8=Q, or UCI like g1f3 ---------- */
+
+moveForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  const text = moveInput.value.trim();
+  if (!text) return;
+  if (viewPly !== null) returnToLive();
+  const typed = /^[a-h][1-8][a-h][1-8][qrbn]?$/i.test(text) ? typedUciMove(text.toLowerCase()) : sanToMove(currentPosition(), text);
+  if (typed && playerMove(typed)) {
+    moveInput.value = '';
+    moveInput.removeAttribute('aria-invalid');
+    return;
   }
-  return true;
+  moveInput.setAttribute('aria-invalid', 'true');
+  announce(gameResult || isAiTurn() || (puzzle && puzzle.solved) ? "It isn't your move" : `${text} isn't a legal move here`);
+});
+
+// A typed UCI move. The king taking its own rook ("e1h1", as engines write castling with
+// UCI_Chess960) is read as castling with that rook, whatever square the king ends up on.
+function typedUciMove(uci) {
+  const mv = uciToMove(uci);
+  const piece = board[mv.from[0]][mv.from[1]];
+  const target = board[mv.to[0]][mv.to[1]];
+  if (piece.toLowerCase() !== 'k' || target.toLowerCase() !== 'r' || isOpposite(piece, target)) return mv;
+  const castle = generateLegalMoves(board, sideToMove, castlingRights, enPassant)
+    .find(m => m.castle && m.from[0] === mv.from[0] && m.from[1] === mv.from[1] && m.rook === mv.to[1]);
+  return castle ? {from: castle.from, to: castle.to} : mv;
+}
+
+// plays an already-validated move on the live game state; no UI or sound
+function applyMove(mv) {
+  const [fr,fc] = mv.from;
+  const [tr,tc] = mv.to;
+  const piece = board[fr][fc];
+  // a Chess960 castle "lands" on its own rook, which isn't a capture
+  const captured = mv.castle ? '.' : mv.enPassant ? board[fr][tc] : board[tr][tc];
+  const san = moveToSan(currentPosition(), mv);
+  const record = {
+    from:[fr,fc], to:[tr,tc], piece, captured, san,
+    promotion: mv.promotion || null, castle: mv.castle || null, enPassant: !!mv.enPassant,
+    // everything needed to undo the move exactly
+    prev: {board: cloneBoard(board), castlingRights, enPassant, halfmoveClock, fullmoveNumber, clock: {...clockTimes}}
+  };
+  moves.push(record);
+  castlingRights = updateCastlingRights(castlingRights, mv, board);
+  board = makeMoveOnBoard(board, mv);
+  enPassant = enPassantTarget(piece, mv);
+  halfmoveClock = (piece.toLowerCase() === 'p' || captured !== '.') ? 0 : halfmoveClock + 1;
+  if (sideToMove === 'b') fullmoveNumber++;
+  sideToMove = (sideToMove === 'w') ? 'b' : 'w';
+  positionHistory.push(positionKey());
+  moveList.push(san);
+  return record;
+}
+
+function currentPosition() {
+  return {board, side: sideToMove, castling: castlingRights, ep: enPassant, ...variantFields(moves.length)};
 }
 
-function notationForMove(fr,fc,tr,tc, piece, target) {
-  const files = 'abcdefgh';
-  const ranks = '87654321';
-  const from = files[fc] + ranks[fr];
-  const to = files[tc] + ranks[tr];
-  return `${piece}${from}-${to}${target !== '.' ? 'x' : ''}`;
+// what a position needs for the variant's rules: the variant, and in Three-check the checks so far
+function variantFields(ply) {
+  if (variant !== 'threeCheck') return {variant};
+  const checks = {w: 0, b: 0};
+  moves.slice(0, ply).forEach(m => { if (/[+#]$/.test(m.san)) checks[pieceColor(m.piece)]++; });
+  return {variant, checks};
+}
+
+function positionKey() {
+  return positionKeyOf(currentPosition());
+}
+
+/* ---------- Game end: mate, stalemate and draws ---------- */
+
+const RESULT_TEXT = {
+  'checkmate': 'Checkmate',
+  'stalemate': 'Stalemate',
+  'threefold': 'Draw by threefold repetition',
+  'fifty-move': 'Draw by the 50-move rule',
+  'insufficient': 'Draw by insufficient material',
+  'timeout': 'Time forfeit',
+  'timeout-draw': 'Draw — time ran out but the opponent cannot mate',
+  'kingOfTheHill': 'King of the Hill',
+  'threeCheck': 'Third check'
+};
+
+function detectGameResult() {
+  return gameResultOf(currentPosition(), positionHistory, halfmoveClock);
+}
+
+function checkGameEnd() {
+  gameResult = detectGameResult();
+  if (gameResult) {
+    freezeClock();
+    finishRatedGame();
+  }
+  updateGameStatus();
+}
+
+function updateGameStatus() {
+  if (gameResult) {
+    const winner = gameResult.result === '1-0' ? 'White wins' : gameResult.result === '0-1' ? 'Black wins' : '';
+    statusEl.textContent = `${RESULT_TEXT[gameResult.reason]}${winner ? ' — ' + winner : ''} (${gameResult.result})`;
+    statusEl.classList.add('game-over');
+  } else {
+    const check = isInCheck(board, sideToMove) ? 'Check!' : '';
+    const {checks} = variantFields(moves.length);
+    statusEl.textContent = checks ? `${check} Checks given: White ${checks.w}, Black ${checks.b}`.trim() : check;
+    statusEl.classList.remove('game-over');
+  }
+  renderAnalysis();
+  renderProfile();
+}
+
+// move number of the game's first move and whether black made it (games can start from any FEN)
+function startCounters() {
+  const fields = startFen.split(' ');
+  return {blackFirst: fields[1] === 'b', firstNumber: +fields[5]};
 }
 
 function updateMovesUI() {
+  // one <li> per move number holding the white and black moves as clickable SAN
   movesEl.innerHTML = '';
-  moveList.forEach((m, idx) => {
-    const li = document.createElement('li');
-    li.textContent = m;
-    if (idx === moveList.length - 1) li.classList.add('move-highlight');
-    movesEl.appendChild(li);
+  const {blackFirst, firstNumber} = startCounters();
+  const shown = currentPly();
+  let li = null;
+  moveList.forEach((san, idx) => {
+    const slot = idx + (blackFirst ? 1 : 0);
+    if (slot % 2 === 0 || !li) {
+      li = document.createElement('li');
+      li.value = firstNumber + Math.floor(slot / 2);
+      if (slot % 2 === 1) {
+        const gap = document.createElement('span');
+        gap.className = 'move-gap';
+        gap.textContent = '…';
+        li.appendChild(gap);
+      }
+      movesEl.appendChild(li);
+    }
+    const btn = document.createElement('button');
+    const graded = analysis && analysis.grades[idx];
+    btn.className = 'move';
+    btn.textContent = san + (graded ? graded.glyph : '');
+    if (graded) {
+      btn.classList.add(`move-${graded.grade}`);
+      btn.title = graded.bestSan ? `${graded.grade} — best was ${graded.bestSan}` : graded.grade;
+    }
+    if (idx + 1 === shown) btn.classList.add('current');
+    if (idx === moveList.length - 1) btn.classList.add('move-highlight');
+    btn.addEventListener('click', () => showPly(idx + 1));
+    li.appendChild(btn);
   });
+  // the book only knows normal games from the initial position
+  const opening = startFen === START_FEN && variant === 'standard' ? openingFor(moveList.slice(0, shown)) : null;
+  openingEl.textContent = opening ? `${opening.eco} ${opening.name}` : '';
+  navFirstBtn.disabled = navPrevBtn.disabled = shown === 0;
+  navNextBtn.disabled = navLastBtn.disabled = viewPly === null;
+  reviewEl.hidden = viewPly === null;
+  reviewEl.textContent = viewPly === null ? '' :
+    viewPly === 0 ? 'Reviewing the starting position — board is read-only' :
+    `Reviewing after ${moveList[viewPly - 1]} — board is read-only`;
+  renderAnalysis();
+}
+
+/* -------------------------
+   Move list navigation (read-only review of earlier positions)
+------------------------- */
+function currentPly() {
+  return viewPly === null ? moves.length : viewPly;
+}
+
+// board as it stood after `ply` half-moves of the current game
+function boardAtPly(ply) {
+  return ply < moves.length ? moves[ply].prev.board : board;
+}
+
+// full position (board, side, castling, en passant) after `ply` half-moves
+function positionAtPly(ply) {
+  if (ply >= moves.length) return currentPosition();
+  const m = moves[ply];
+  return {board: m.prev.board, side: pieceColor(m.piece), castling: m.prev.castlingRights, ep: m.prev.enPassant, ...variantFields(ply)};
+}
+
+function displayedBoard() {
+  return viewPly === null ? board : boardAtPly(viewPly);
+}
+
+function showPly(ply) {
+  const target = Math.max(0, Math.min(ply, moves.length));
+  // stepping onto the last ply means we're back on the live game
+  viewPly = target === moves.length ? null : target;
+  selectedCell = null;
+  renderBoard();
+  updateMovesUI();
+}
+
+function returnToLive() {
+  if (viewPly === null) return;
+  viewPly = null;
+  renderBoard();
+  updateMovesUI();
 }
 
+navFirstBtn.addEventListener('click', () => showPly(0));
+navPrevBtn.addEventListener('click', () => showPly(currentPly() - 1));
+navNextBtn.addEventListener('click', () => showPly(currentPly() + 1));
+navLastBtn.addEventListener('click', () => showPly(moves.length));
+
 /* -------------------------
    Undo / restart / UI actions
    ------------------------- */
 undoBtn.addEventListener('click', () => {
-  if (!moves.length) return;
-  const last = moves.pop();
-  const {from, to, piece, captured} = last;
-  board[from[0]][from[1]] = piece;
-  board[to[0]][to[1]] = captured;
-  moveList.pop();
-  sideToMove = (sideToMove === 'w') ? 'b' : 'w';
+  // wrong puzzle moves never reach the board, so there is nothing of the solver's to take back;
+  // rated games have no takebacks, even once they're over
+  if (!moves.length || puzzle || ratedGame) return;
+  cancelAiSearch();
+  cancelAnalysis();
+  closePromotionPicker();
+  viewPly = null;
+  // back to the player's own turn: the AI's reply goes too, not just the last move
+  takeBackMove();
+  if (isAiTurn() && moves.length) takeBackMove();
+  // taking a move back also reopens a finished game
+  gameResult = null;
+  clockTurnStart = moves.length ? Date.now() : null;
+  runClock();
   renderBoard();
   updateMovesUI();
+  updateGameStatus();
   playSound('undo');
+  // only left on the AI's turn when its opening move was the one taken back
+  scheduleAiMove();
 });
 
+// undoes the last move, giving back the time spent on it
+function takeBackMove() {
+  const last = moves.pop();
+  ({board, castlingRights, enPassant, halfmoveClock, fullmoveNumber} = last.prev);
+  positionHistory.pop();
+  moveList.pop();
+  sideToMove = (sideToMove === 'w') ? 'b' : 'w';
+  clockTimes = {...last.prev.clock};
+}
+
 restartBtn.addEventListener('click', () => {
-  board = JSON.parse(JSON.stringify(initialBoard));
+  newGame();
+  playSound('restart');
+});
+
+// a fresh game of the chosen variant, colour settled again; Chess960 draws one of its 960 starts
+function newGame() {
+  pgnTags = {};
+  pickSide();
+  variant = variantSelect.value;
+  setPosition(parseFen(variant === 'chess960' ? chess960Fen(Math.floor(Math.random() * 960)) : START_FEN));
+  beginRatedGame();
+}
+
+function setVariant(key) {
+  variant = key;
+  variantSelect.value = key;
+}
+
+// replaces the whole game with a fresh one starting from `pos` (as returned by parseFen)
+function setPosition(pos) {
+  cancelAiSearch();
+  cancelAnalysis();
+  leavePuzzle();
+  abandonRatedGame();
+  board = pos.board;
+  sideToMove = pos.side;
+  castlingRights = variant === 'chess960' ? chess960Castling(pos.board, pos.castling) : pos.castling;
+  enPassant = pos.ep;
+  halfmoveClock = pos.halfmove;
+  fullmoveNumber = pos.fullmove;
+  startFen = boardToFen(board, sideToMove, castlingRights, enPassant, halfmoveClock, fullmoveNumber);
   moves = [];
   moveList = [];
-  sideToMove = 'w';
-  seconds = 0;
+  selectedCell = null;
+  closePromotionPicker();
+  viewPly = null;
+  positionHistory = [positionKey()];
+  gameResult = null;
+  resetClock();
   renderBoard();
   updateMovesUI();
-  playSound('restart');
+  checkGameEnd();
+  scheduleAiMove();
+}
+
+/* -------------------------
+   FEN / PGN import & export
+------------------------- */
+
+function currentFen() {
+  return boardToFen(board, sideToMove, castlingRights, enPassant, halfmoveClock, fullmoveNumber);
+}
+
+function loadFen(fen) {
+  const pos = parseFen(fen);
+  pgnTags = {};
+  setPosition(pos);
+  postMoveActions();
+}
+
+function loadPgn(text) {
+  // replayed on scratch positions first (readPgn throws), so a bad PGN leaves the current game untouched
+  const {tags, variant: key, start, moves: line} = readPgn(text);
+  pgnTags = tags;
+  setVariant(key);
+  setPosition(start);
+  line.forEach(applyMove);
+  renderBoard();
+  updateMovesUI();
+  checkGameEnd();
+  postMoveActions();
+}
+
+function pgnDate(d) {
+  return `${d.getFullYear()}.${String(d.getMonth() + 1).padStart(2, '0')}.${String(d.getDate()).padStart(2, '0')}`;
+}
+
+function exportPgn() {
+  const result = gameResult ? gameResult.result : (pgnTags.Result || '*');
+  const level = DIFFICULTIES[+difficultySelect.value] || DIFFICULTIES[2];
+  const player = activeProfile();
+  const names = {[humanColor]: player ? player.name : 'Player', [humanColor === 'w' ? 'b' : 'w']: `AI (${level.label})`};
+  const tags = Object.assign({
+    Event: ratedGame ? 'Rated game' : 'Casual game', Site: 'Chess Introvert', Date: pgnDate(new Date()), Round: '-',
+    White: names.w, Black: names.b
+  }, pgnTags, {Result: result});
+  if (startFen !== START_FEN) { tags.SetUp = '1'; tags.FEN = startFen; }
+  else { delete tags.SetUp; delete tags.FEN; }
+  if (variant !== 'standard') tags.Variant = VARIANTS[variant];
+  else delete tags.Variant;
+  return formatPgn(tags, moves.map(m => m.san));
+}
+
+function showIoResult(text, message) {
+  if (text !== null) ioText.value = text;
+  ioMessage.textContent = message;
+  ioMessage.classList.remove('error');
+}
+
+function showIoError(err) {
+  ioMessage.textContent = err.message;
+  ioMessage.classList.add('error');
+}
+
+function copyToClipboard(text) {
+  if (!navigator.clipboard) return Promise.resolve(false);
+  return navigator.clipboard.writeText(text).then(() => true, () => false);
+}
+
+loadFenBtn.addEventListener('click', () => {
+  try { loadFen(ioText.value); showIoResult(null, 'Position loaded.'); }
+  catch (err) { showIoError(err); }
+});
+
+loadPgnBtn.addEventListener('click', () => {
+  try { loadPgn(ioText.value); showIoResult(null, `Game loaded (${moves.length} plies).`); }
+  catch (err) { showIoError(err); }
+});
+
+exportFenBtn.addEventListener('click', () => {
+  const fen = currentFen();
+  copyToClipboard(fen).then(copied => showIoResult(fen, copied ? 'FEN copied to clipboard.' : 'FEN exported.'));
+});
+
+exportPgnBtn.addEventListener('click', () => {
+  const pgn = exportPgn();
+  copyToClipboard(pgn).then(copied => showIoResult(pgn, copied ? 'PGN copied to clipboard.' : 'PGN exported.'));
 });
 
 /* -------------------------
-   Timer
+   Chess clocks
+   TIME_CONTROLS come from clock.js, the server's own table. Clocks start with White's first move;
+   untimed games count each side's thinking time up instead of down.
 ------------------------- */
-function startTimer() {
-  clearInterval(timerInterval);
-  seconds = 0;
-  timerEl.textContent = formatTime(seconds);
-  timerInterval = setInterval(() => {
-    seconds++;
-    timerEl.textContent = formatTime(seconds);
-  }, 1000);
+const UNTIMED = {label: 'Untimed', initial: 0, increment: 0, delay: 0};
+
+let activeTimeControl = UNTIMED; // control the running game was started with
+
+function isTimed() {
+  return activeTimeControl.initial > 0;
+}
+
+// live reading for one side, including the turn in progress
+function clockLeft(side) {
+  if (side !== sideToMove || clockTurnStart === null) return clockTimes[side];
+  const elapsed = Date.now() - clockTurnStart;
+  if (!isTimed()) return clockTimes[side] + elapsed;
+  return clockTimes[side] - Math.max(0, elapsed - activeTimeControl.delay);
 }
-function formatTime(s) {
-  const mm = String(Math.floor(s/60)).padStart(2,'0');
-  const ss = String(s%60).padStart(2,'0');
-  return `${mm}:${ss}`;
+
+function resetClock() {
+  // puzzles are never played on the clock
+  activeTimeControl = (!puzzle && TIME_CONTROLS[timeControlSelect.value]) || UNTIMED;
+  clockTimes = {w: activeTimeControl.initial, b: activeTimeControl.initial};
+  clockTurnStart = null;
+  runClock();
+}
+
+function runClock() {
+  clearInterval(clockInterval);
+  clockInterval = setInterval(tickClock, 100);
+  renderClocks();
+}
+
+// `side` has just moved: bank its time (plus increment) and start the opponent's
+function bankClock(side) {
+  const now = Date.now();
+  if (clockTurnStart !== null) {
+    clockTimes[side] = isTimed() ? clockLeft(side) + activeTimeControl.increment : clockLeft(side);
+  }
+  clockTurnStart = now;
+  renderClocks();
+}
+
+function freezeClock() {
+  if (clockTurnStart !== null) clockTimes[sideToMove] = Math.max(0, clockLeft(sideToMove));
+  clockTurnStart = null;
+  clearInterval(clockInterval);
+  renderClocks();
+}
+
+function tickClock() {
+  if (!gameResult && isTimed() && clockTurnStart !== null && clockLeft(sideToMove) <= 0) {
+    const winner = sideToMove === 'w' ? 'b' : 'w';
+    gameResult = canStillWin(currentPosition(), winner)
+      ? {result: winner === 'w' ? '1-0' : '0-1', reason: 'timeout'}
+      : {result: '1/2-1/2', reason: 'timeout-draw'};
+    cancelAiSearch();
+    freezeClock();
+    finishRatedGame();
+    updateGameStatus();
+    announce(statusEl.textContent);
+    return;
+  }
+  renderClocks();
+}
+
+function renderClocks() {
+  ['w', 'b'].forEach(side => {
+    const ms = clockLeft(side);
+    clockEls[side].textContent = formatClock(ms);
+    clockEls[side].classList.toggle('clock-running', side === sideToMove && clockTurnStart !== null);
+    clockEls[side].classList.toggle('clock-low', isTimed() && ms < 10000);
+  });
+}
+
+function formatClock(ms) {
+  const total = Math.max(0, ms);
+  const mm = Math.floor(total / 60000);
+  const ss = String(Math.floor((total % 60000) / 1000)).padStart(2,'0');
+  // tenths only matter in a time scramble
+  if (isTimed() && total < 10000) return `${mm}:${ss}.${Math.floor((total % 1000) / 100)}`;
+  return `${String(mm).padStart(2,'0')}:${ss}`;
 }
 
 /* -------------------------
@@ -351,172 +993,81 @@ musicBtn.addEventListener('click', ()=>{
 });
 
 /* -------------------------
-   AI: Minimax + alpha-beta
+   AI: the search runs in a Web Worker (ai-worker.js) so the page stays responsive.
+   Iterative deepening reports progress after each depth; Undo/Restart cancel it.
 ------------------------- */
+let aiWorker = null;
+let aiSearchId = 0; // id of the search we're waiting for; replies to older ones are ignored
+let aiThinking = false;
+let aiTimeout = null; // the short pause before the AI starts
 
-function evaluateBoardSimple(boardState) {
-  // simple material evaluation
-  const values = {p:100, n:320, b:330, r:500, q:900, k:20000};
-  let score = 0;
-  for (let r=0;r<8;r++) for (let c=0;c<8;c++){
-    const p = boardState[r][c];
-    if (p === '.') continue;
-    const v = values[p.toLowerCase()] || 0;
-    score += (p === p.toLowerCase()) ? -v : v;
-  }
-  return score;
-}
-
-function generateMovesForSide(boardState, side) {
-  // very basic move generator enumerating all pseudo-legal moves (no castling/en-passant)
-  const moves = [];
-  for (let r=0;r<8;r++) for (let c=0;c<8;c++){
-    const p = boardState[r][c];
-    if (p === '.') continue;
-    const isWhite = p === p.toUpperCase();
-    if ((side === 'w') !== isWhite) continue;
-    const t = p.toLowerCase();
-    if (t === 'p') {
-      const dir = isWhite ? -1 : 1;
-      const nr = r + dir;
-      if (inRange(nr) && boardState[nr][c] === '.') moves.push({from:[r,c],to:[nr,c]});
-      // capture
-      for (const dc of [-1,1]) {
-        const nc = c + dc;
-        if (inRange(nr) && inRange(nc) && boardState[nr][nc] !== '.' && isOpposite(pieceColor(p), boardState[nr][nc])) {
-          moves.push({from:[r,c],to:[nr,nc]});
-        }
-      }
-      // double step
-      if ((r === 6 && isWhite) || (r === 1 && !isWhite)) {
-        const rr = r + dir*2;
-        if (boardState[r+dir][c] === '.' && boardState[rr][c] === '.') moves.push({from:[r,c], to:[rr,c]});
-      }
-    } else if (t === 'n') {
-      const deltas = [[1,2],[2,1],[-1,2],[-2,1],[1,-2],[2,-1],[-1,-2],[-2,-1]];
-      deltas.forEach(d=>{
-        const rr=r+d[0], cc=c+d[1];
-        if(!inRange(rr)||!inRange(cc))return;
-        const t2=boardState[rr][cc];
-        if (t2 === '.' || isOpposite(pieceColor(p), t2)) moves.push({from:[r,c],to:[rr,cc]});
-      });
-    } else if (t === 'b' || t === 'r' || t==='q') {
-      const deltas = (t==='b') ? [[1,1],[1,-1],[-1,1],[-1,-1]] : (t==='r') ? [[1,0],[-1,0],[0,1],[0,-1]] : [[1,1],[1,-1],[-1,1],[-1,-1],[1,0],[-1,0],[0,1],[0,-1]];
-      deltas.forEach(d=>{
-        let rr=r+d[0], cc=c+d[1];
-        while(inRange(rr) && inRange(cc)) {
-          const t2 = boardState[rr][cc];
-          if (t2 === '.') { moves.push({from:[r,c],to:[rr,cc]}); }
-          else { if (isOpposite(pieceColor(p),t2)) moves.push({from:[r,c],to:[rr,cc]}); break; }
-          rr += d[0]; cc += d[1];
-        }
-      });
-    } else if (t === 'k') {
-      for (let dr=-1; dr<=1; dr++) for (let dc=-1; dc<=1; dc++){
-        if (dr===0 && dc===0) continue;
-        const rr = r+dr, cc = c+dc;
-        if (!inRange(rr)||!inRange(cc)) continue;
-        const t2 = boardState[rr][cc];
-        if (t2 === '.' || isOpposite(pieceColor(p),t2)) moves.push({from:[r,c],to:[rr,cc]});
-      }
-    }
+function getAiWorker() {
+  if (!aiWorker) {
+    aiWorker = new Worker('js/ai-worker.js');
+    aiWorker.onmessage = onAiMessage;
   }
-  return moves;
+  return aiWorker;
 }
 
-function inRange(x){return x>=0 && x<8;}
-function pieceColor(p){ return p === p.toUpperCase() ? 'w' : 'b';}
-function isOpposite(a,b){ return pieceColor(a) !== pieceColor(b);}
-
-function cloneBoard(b){ return b.map(r=>r.slice()); }
-
-function makeMoveOnBoard(b, move) {
-  const nb = cloneBoard(b);
-  const [fr,fc] = move.from;
-  const [tr,tc] = move.to;
-  nb[tr][tc] = nb[fr][fc];
-  nb[fr][fc] = '.';
-  return nb;
-}
-
-function minimaxRoot(boardState, depth, side, timeLimitMs=2000) {
-  const start = performance.now();
-  let bestMove = null;
-  let bestScore = side==='w' ? -Infinity : Infinity;
-  const moves = generateMovesForSide(boardState, side);
-  // simple ordering: prefer captures
-  moves.sort((a,b)=>{
-    const ta = boardState[a.to[0]][a.to[1]];
-    const tb = boardState[b.to[0]][b.to[1]];
-    return (tb !== '.') - (ta !== '.');
-  });
-  for (let mv of moves) {
-    const nb = makeMoveOnBoard(boardState, mv);
-    const score = minimax(nb, depth-1, (side==='w'?'b':'w'), -Infinity, Infinity, start, timeLimitMs);
-    if (side === 'w') {
-      if (score > bestScore) { bestScore = score; bestMove = mv; }
-    } else {
-      if (score < bestScore) { bestScore = score; bestMove = mv; }
-    }
-    // time guard
-    if (performance.now() - start > timeLimitMs) break;
-  }
-  return bestMove;
-}
-
-function minimax(boardState, depth, side, alpha, beta, startTime, timeLimitMs) {
-  // time cutoff
-  if (performance.now() - startTime > timeLimitMs) {
-    // return static eval
-    return evaluateBoardSimple(boardState);
-  }
-  if (depth === 0) return evaluateBoardSimple(boardState);
-  const moves = generateMovesForSide(boardState, side);
-  if (moves.length === 0) return evaluateBoardSimple(boardState);
-  if (side === 'w') {
-    let maxEval = -Infinity;
-    for (const mv of moves) {
-      const nb = makeMoveOnBoard(boardState, mv);
-      const ev = minimax(nb, depth-1, 'b', alpha, beta, startTime, timeLimitMs);
-      maxEval = Math.max(maxEval, ev);
-      alpha = Math.max(alpha, ev);
-      if (beta <= alpha) break;
-      if (performance.now() - startTime > timeLimitMs) break;
-    }
-    return maxEval;
-  } else {
-    let minEval = Infinity;
-    for (const mv of moves) {
-      const nb = makeMoveOnBoard(boardState, mv);
-      const ev = minimax(nb, depth-1, 'w', alpha, beta, startTime, timeLimitMs);
-      minEval = Math.min(minEval, ev);
-      beta = Math.min(beta, ev);
-      if (beta <= alpha) break;
-      if (performance.now() - startTime > timeLimitMs) break;
-    }
-    return minEval;
+function cancelAiSearch() {
+  clearTimeout(aiTimeout);
+  aiTimeout = null;
+  aiSearchId++;
+  if (aiThinking) {
+    // a search never yields to read messages, so stopping it means dropping the worker
+    aiWorker.terminate();
+    aiWorker = null;
+    aiThinking = false;
   }
+  aiStatusEl.textContent = '';
+}
+
+function isAiTurn() {
+  return !puzzle && sideToMove !== humanColor;
 }
 
 /* After player makes a move, let AI respond if it's AI's turn */
 function postMoveActions() {
   renderBoard();
-  if (sideToMove === 'b') {
-    // let AI play after short delay
-    setTimeout(() => aiMove(), 350);
+  if (puzzle) {
+    continuePuzzle();
+    return;
   }
+  scheduleAiMove();
+}
+
+// the AI plays after a short delay whenever it's its move: after the player's, or at the start
+// when the player has Black
+function scheduleAiMove() {
+  if (gameResult || !isAiTurn()) return;
+  clearTimeout(aiTimeout);
+  aiTimeout = setTimeout(() => aiMove(), 350);
+}
+
+// the colour choice is settled when a game starts: "random" picks one for that game
+function pickSide() {
+  const choice = playerColorSelect.value;
+  humanColor = choice === 'b' || (choice === 'random' && Math.random() < 0.5) ? 'b' : 'w';
+  flipped = false;
+}
+
+function aiTimeBudget(depth) {
+  // time budget: increase with depth but cap
+  let budget = Math.min(4000, 500 * depth + 400);
+  // on the clock, spend only a slice of what's left
+  if (isTimed()) budget = Math.min(budget, clockLeft(sideToMove) / 20 + activeTimeControl.increment / 2);
+  return Math.max(100, budget);
 }
 
 /* AI move using difficulty mapping */
 function aiMove() {
+  aiTimeout = null;
+  if (gameResult || !isAiTurn()) return;
   const difficulty = +difficultySelect.value;
   const dd = DIFFICULTIES[difficulty] || DIFFICULTIES[2];
-  let depth = dd.depth;
-  // time budget: increase with depth but cap
-  const timeBudget = Math.min(4000, 500 * depth + 400);
   // For beginner, do a random move to look "human"
   if (difficulty === 1) {
-    const legal = generateMovesForSide(board, 'b');
+    const legal = generateLegalMoves(board, sideToMove, castlingRights, enPassant);
     if (!legal.length) return;
     const mv = legal[Math.floor(Math.random()*legal.length)];
     makeMoveIfLegal(mv);
@@ -524,15 +1075,603 @@ function aiMove() {
     postMoveActions();
     return;
   }
-  // For stronger levels, run minimax root
-  const candidate = minimaxRoot(board, depth, 'b', timeBudget);
-  if (candidate) {
-    makeMoveIfLegal(candidate);
+  // Opening book first, so games don't all start the same way
+  const book = startFen === START_FEN && variant === 'standard' && bookMove(moveList, dd.bookPlies);
+  const bookMv = book && sanToMove(currentPosition(), book);
+  if (bookMv && makeMoveIfLegal(bookMv)) {
+    aiStatusEl.textContent = 'AI played a book move';
     renderBoard();
     postMoveActions();
+    return;
+  }
+  // For stronger levels, search in the worker
+  aiThinking = true;
+  aiStatusEl.textContent = 'AI is thinking…';
+  getAiWorker().postMessage({
+    type: 'search',
+    id: ++aiSearchId,
+    position: currentPosition(),
+    history: positionHistory.slice(0, -1),
+    maxDepth: dd.depth,
+    timeMs: aiTimeBudget(dd.depth)
+  });
+}
+
+function onAiMessage(e) {
+  const msg = e.data;
+  if (msg.id !== aiSearchId) return;
+  if (msg.type === 'progress') {
+    aiStatusEl.textContent = `AI thinking — ${formatAiLine(msg)}`;
+  } else if (msg.type === 'bestmove') {
+    aiThinking = false;
+    aiStatusEl.textContent = msg.depth ? `AI saw ${formatAiLine(msg)}` : '';
+    if (msg.move && makeMoveIfLegal(msg.move)) {
+      renderBoard();
+      postMoveActions();
+    }
+  }
+}
+
+// "+0.35" or "#-3", from White's side
+function formatScore({score, mate}) {
+  return mate !== null ? `#${mate}` : `${score >= 0 ? '+' : ''}${(score / 100).toFixed(2)}`;
+}
+
+// "depth 4 · +0.35 · Nf6 e5 Nd5"
+function formatAiLine(line) {
+  return `depth ${line.depth} · ${formatScore(line)} · ${line.pv.join(' ')}`;
+}
+
+/* -------------------------
+   Post-game analysis: a second worker scores every position of the finished game, then
+   each move is graded by how much it gave away compared with the engine's choice.
+------------------------- */
+const ANALYSIS_DEPTH = 4;
+const ANALYSIS_MS = 400; // per position
+const EVAL_CAP = 1000; // centipawns; mates and anything more lopsided count as this much
+// centipawns lost, worst first; anything smaller counts as a best move
+const MOVE_GRADES = [
+  {grade: 'blunder', loss: 300, glyph: '??'},
+  {grade: 'mistake', loss: 100, glyph: '?'},
+  {grade: 'inaccuracy', loss: 50, glyph: '?!'}
+];
+
+let analysisWorker = null;
+let analysisId = 0;
+let analysis = null; // {evals: [per position], grades: [per move], done} for the current game
+
+function canAnalyse() {
+  return moves.length > 0 && !!(gameResult || pgnTags.Result);
+}
+
+function startAnalysis() {
+  if (!canAnalyse()) return;
+  cancelAnalysis();
+  const positions = Array.from({length: moves.length + 1}, (_, ply) => positionAtPly(ply));
+  analysis = {evals: [], grades: [], done: false};
+  analysisWorker = new Worker('js/ai-worker.js');
+  analysisWorker.onmessage = onAnalysisMessage;
+  analysisWorker.postMessage({
+    type: 'analyse', id: ++analysisId, positions, history: positionHistory,
+    maxDepth: ANALYSIS_DEPTH, timeMs: ANALYSIS_MS
+  });
+  updateMovesUI();
+}
+
+function cancelAnalysis() {
+  if (analysisWorker) {
+    analysisWorker.terminate();
+    analysisWorker = null;
+  }
+  analysis = null;
+}
+
+function onAnalysisMessage(e) {
+  const msg = e.data;
+  if (!analysis || msg.id !== analysisId) return;
+  if (msg.type === 'analysis') {
+    analysis.evals[msg.ply] = msg;
+    if (msg.ply > 0) analysis.grades[msg.ply - 1] = gradeMove(msg.ply - 1);
+  } else if (msg.type === 'analysis-done') {
+    analysis.done = true;
+    analysisWorker.terminate();
+    analysisWorker = null;
+  }
+  updateMovesUI();
+}
+
+// White's advantage in centipawns, capped so one mate doesn't flatten the whole graph
+function evalCp({score, mate}) {
+  if (mate !== null) return score > 0 ? EVAL_CAP : -EVAL_CAP;
+  return Math.max(-EVAL_CAP, Math.min(EVAL_CAP, score));
+}
+
+// chance of winning (0-100) for a centipawn advantage, and per-move accuracy from the
+// drop in it (the curves lichess publishes)
+function winChance(cp) {
+  return 50 + 50 * (2 / (1 + Math.exp(-0.00368208 * cp)) - 1);
+}
+
+function moveAccuracy(before, after) {
+  const acc = 103.1668 * Math.exp(-0.04354 * (winChance(before) - winChance(after))) - 3.1669;
+  return Math.max(0, Math.min(100, acc));
+}
+
+function gradeMove(i) {
+  const before = analysis.evals[i];
+  // the reply's score one ply shallower ends on the same ply as `before`, so the two compare fairly
+  const next = analysis.evals[i + 1];
+  const after = next.depths[before.depth - 1] || next;
+  const mv = moves[i];
+  const sign = pieceColor(mv.piece) === 'w' ? 1 : -1;
+  const loss = Math.max(0, sign * (evalCp(before) - evalCp(after)));
+  const best = before.move;
+  const playedBest = !best || (best.from[0] === mv.from[0] && best.from[1] === mv.from[1] &&
+    best.to[0] === mv.to[0] && best.to[1] === mv.to[1] && (best.promotion || null) === mv.promotion);
+  const worse = playedBest ? null : MOVE_GRADES.find(g => loss >= g.loss);
+  return {
+    grade: worse ? worse.grade : 'best',
+    glyph: worse ? worse.glyph : '',
+    loss,
+    bestSan: worse ? before.pv[0] : null,
+    accuracy: moveAccuracy(sign * evalCp(before), sign * evalCp(after))
+  };
+}
+
+function sideSummary(side) {
+  const graded = analysis.grades.filter((g, i) => g && pieceColor(moves[i].piece) === side);
+  if (!graded.length) return `${side === 'w' ? 'White' : 'Black'}: no moves`;
+  const accuracy = graded.reduce((sum, g) => sum + g.accuracy, 0) / graded.length;
+  const count = grade => graded.filter(g => g.grade === grade).length;
+  return `${side === 'w' ? 'White' : 'Black'}: ${accuracy.toFixed(1)}% accuracy · ` +
+    `${count('inaccuracy')} inaccuracies · ${count('mistake')} mistakes · ${count('blunder')} blunders`;
+}
+
+function renderAnalysis() {
+  analyseBtn.disabled = !canAnalyse() || (!!analysis && !analysis.done);
+  analyseBtn.textContent = analysis && !analysis.done ? 'Analysing…' : 'Analyse game';
+  analysisEl.hidden = !analysis;
+  if (!analysis) return;
+  drawEvalGraph();
+  const scored = analysis.evals.filter(Boolean).length;
+  accuracyEl.textContent = analysis.done
+    ? `${sideSummary('w')}\n${sideSummary('b')}`
+    : `Analysing position ${scored} of ${moves.length + 1}…`;
+  const ply = currentPly();
+  const graded = ply > 0 && analysis.grades[ply - 1];
+  analysisNoteEl.textContent = !graded ? '' :
+    `${moveList[ply - 1]}${graded.glyph} — ${graded.grade}${graded.bestSan ? `, best was ${graded.bestSan}` : ''}`;
+}
+
+// White's advantage across the game: above the middle line White is better, below Black
+function drawEvalGraph() {
+  const W = 300, H = 80, mid = H / 2;
+  const x = ply => (ply / Math.max(1, moves.length)) * W;
+  const y = ev => mid - (evalCp(ev) / EVAL_CAP) * mid;
+  const points = [];
+  analysis.evals.forEach((ev, ply) => { if (ev) points.push(`${x(ply).toFixed(1)},${y(ev).toFixed(1)}`); });
+  const lastX = x(analysis.evals.length - 1).toFixed(1);
+  const marks = analysis.grades.map((g, i) => g && g.grade !== 'best' && analysis.evals[i + 1]
+    ? `<circle class="eval-${g.grade}" cx="${x(i + 1).toFixed(1)}" cy="${y(analysis.evals[i + 1]).toFixed(1)}" r="2.5"/>`
+    : '').join('');
+  evalGraphEl.innerHTML =
+    `<line class="eval-mid" x1="0" y1="${mid}" x2="${W}" y2="${mid}"/>` +
+    (points.length ? `<polygon class="eval-area" points="0,${mid} ${points.join(' ')} ${lastX},${mid}"/>` +
+      `<polyline class="eval-line" points="${points.join(' ')}"/>` : '') +
+    `<line class="eval-cursor" x1="${x(currentPly())}" y1="0" x2="${x(currentPly())}" y2="${H}"/>` + marks;
+}
+
+analyseBtn.addEventListener('click', startAnalysis);
+// clicking the graph jumps the board to that point of the game
+evalGraphEl.addEventListener('click', (e) => {
+  const rect = evalGraphEl.getBoundingClientRect();
+  showPly(Math.round(((e.clientX - rect.left) / rect.width) * moves.length));
+});
+
+/* -------------------------
+   Assists: a hint for the side to move and an optional evaluation bar. A helper worker
+   answers both, so they never wait behind the AI's own search.
+------------------------- */
+const HINT_DEPTH = 5;
+const HINT_MS = 800;
+const EVAL_DEPTH = 4;
+const EVAL_MS = 300;
+
+let assistWorker = null;
+let assistId = 0;
+let assistJob = null; // {id, kind: 'hint'|'eval', ...} for the search in flight
+let hint = null; // {key, from, to}: highlighted while the live game is still in that position
+let evalKey = null; // the position the bar shows (or is being searched for it)
+
+function runAssist(job, position, history, maxDepth, timeMs) {
+  cancelAssist(); // one search at a time
+  if (!assistWorker) {
+    assistWorker = new Worker('js/ai-worker.js');
+    assistWorker.onmessage = onAssistMessage;
+  }
+  assistJob = {...job, id: ++assistId};
+  // the bar wants a score even when only one move is legal
+  const scoreForced = job.kind === 'eval';
+  assistWorker.postMessage({type: 'search', id: assistJob.id, position, history, maxDepth, timeMs, scoreForced});
+}
+
+function cancelAssist() {
+  if (!assistJob) return;
+  assistWorker.terminate();
+  assistWorker = null;
+  if (assistJob.kind === 'eval') evalKey = null; // has to be searched again
+  if (assistJob.kind === 'hint') hintBtn.disabled = false;
+  assistJob = null;
+}
+
+function onAssistMessage(e) {
+  const msg = e.data;
+  if (!assistJob || msg.id !== assistJob.id) return;
+  const job = assistJob;
+  if (job.kind === 'eval') drawEvalBar(msg);
+  if (msg.type !== 'bestmove') return;
+  assistJob = null;
+  if (job.kind === 'hint') {
+    hintBtn.disabled = false;
+    if (msg.move && job.key === liveKey()) {
+      hint = {key: job.key, from: msg.move.from, to: msg.move.to};
+      renderBoard();
+    }
+  }
+  refreshEval(); // the bar may have been waiting on a hint
+}
+
+// a live position is identified by its ply as well, so undo + replay doesn't revive an old hint
+function liveKey() {
+  return `${moves.length}:${positionKey()}`;
+}
+
+function isHintSquare(r, c) {
+  if (!hint || viewPly !== null || hint.key !== liveKey()) return false;
+  return (hint.from[0] === r && hint.from[1] === c) || (hint.to[0] === r && hint.to[1] === c);
+}
+
+function showHint() {
+  if (gameResult || viewPly !== null || isAiTurn() || assistsLocked()) return;
+  hintBtn.disabled = true;
+  runAssist({kind: 'hint', key: liveKey()}, currentPosition(), positionHistory.slice(0, -1), HINT_DEPTH, HINT_MS);
+}
+
+function refreshEval() {
+  const on = evalToggle.checked && !assistsLocked();
+  evalBarEl.hidden = !on;
+  if (!on) return;
+  const ply = currentPly();
+  const position = positionAtPly(ply);
+  const key = `${ply}:${positionKeyOf(position)}`;
+  // a hint in flight gets to finish; the bar catches up afterwards
+  if (key === evalKey || (assistJob && assistJob.kind === 'hint')) return;
+  if (ply === moves.length && gameResult) {
+    // nothing left to search: show the result itself
+    cancelAssist();
+    evalKey = key;
+    const white = gameResult.result === '1-0' ? 100 : gameResult.result === '0-1' ? 0 : 50;
+    evalFillEl.style.height = `${white}%`;
+    evalTextEl.textContent = gameResult.result;
+    return;
   }
+  runAssist({kind: 'eval'}, position, positionHistory.slice(0, ply), EVAL_DEPTH, EVAL_MS);
+  evalKey = key;
+}
+
+// White's share of the bar follows the same winning-chance curve as the analysis graph
+function drawEvalBar(line) {
+  if (line.depth === 0) return; // ran out of time before the first depth finished
+  evalFillEl.style.height = `${winChance(evalCp(line)).toFixed(1)}%`;
+  evalTextEl.textContent = formatScore(line);
 }
 
+hintBtn.addEventListener('click', showHint);
+evalToggle.addEventListener('change', () => { evalKey = null; refreshEval(); });
+
+/* -------------------------
+   Puzzles: tactics from a Lichess-format CSV (puzzles.js). The opponent's setup move is played
+   for you, then every move has to match the solution; a wrong one is refused and can be retried.
+   The puzzle rating lives in localStorage and decides which puzzle comes next.
+------------------------- */
+const PUZZLE_STATS_KEY = 'chess-introvert-puzzles';
+const PUZZLE_HISTORY = 500; // ids remembered so recent puzzles aren't repeated
+const PUZZLE_REPLY_MS = 400;
+
+let puzzleSet = parsePuzzleCsv(BUILTIN_PUZZLES);
+let puzzle = null; // {data, solver, step, failed, solved, note} while a puzzle is on the board
+let puzzleReply = null; // timeout for the opponent's next solution move
+
+function readPuzzleStats() {
+  try {
+    return {rating: PUZZLE_START_RATING, done: [], ...JSON.parse(localStorage.getItem(PUZZLE_STATS_KEY))};
+  } catch {
+    return {rating: PUZZLE_START_RATING, done: []};
+  }
+}
+
+function savePuzzleStats(stats) {
+  localStorage.setItem(PUZZLE_STATS_KEY, JSON.stringify({rating: stats.rating, done: stats.done.slice(-PUZZLE_HISTORY)}));
+}
+
+function startPuzzle() {
+  const stats = readPuzzleStats();
+  // a puzzle whose FEN or setup move doesn't hold up is dropped and another one tried
+  while (puzzleSet.length) {
+    const data = pickPuzzle(puzzleSet, stats.rating, stats.done);
+    let pos = null;
+    try { pos = parseFen(data.fen); } catch { /* dropped below */ }
+    if (pos) {
+      pgnTags = {};
+      setVariant('standard');
+      setPosition(pos);
+      puzzle = {data, solver: null, step: 0, failed: false, solved: false, note: ''};
+      resetClock();
+      if (playPuzzleMove()) {
+        puzzle.solver = sideToMove;
+        renderBoard();
+        renderPuzzle();
+        return;
+      }
+    }
+    puzzleSet = puzzleSet.filter(p => p !== data);
+  }
+  leavePuzzle();
+  puzzleStatusEl.textContent = 'No playable puzzles — load a puzzle file';
+}
+
+// leaves the board as it is; restarting or loading a game calls this through setPosition
+function leavePuzzle() {
+  clearTimeout(puzzleReply);
+  puzzleReply = null;
+  if (!puzzle) return;
+  puzzle = null;
+  renderPuzzle();
+}
+
+// plays the next solution move (the opponent's); false if it isn't legal here
+function playPuzzleMove() {
+  const mv = uciToMove(puzzle.data.moves[puzzle.step]);
+  if (!makeMoveIfLegal(mv)) return false;
+  puzzle.step++;
+  return true;
+}
+
+// True when `move` is legal but not the solution, after telling the solver so. Like Lichess, any
+// mate counts on the last move. Illegal moves are left to the normal selection handling.
+function puzzleRejects(move) {
+  const pos = currentPosition();
+  const mv = generateLegalMoves(board, sideToMove, castlingRights, enPassant).find(m =>
+    m.from[0] === move.from[0] && m.from[1] === move.from[1] && m.to[0] === move.to[0] && m.to[1] === move.to[1] &&
+    (!m.promotion || m.promotion === (move.promotion || 'q')));
+  if (!mv) return false;
+  const want = uciToMove(puzzle.data.moves[puzzle.step]);
+  const same = want.from[0] === mv.from[0] && want.from[1] === mv.from[1] && want.to[0] === mv.to[0] &&
+    want.to[1] === mv.to[1] && (want.promotion || null) === (mv.promotion || null);
+  const last = puzzle.step === puzzle.data.moves.length - 1;
+  if (same || (last && moveToSan(pos, mv).endsWith('#'))) return false;
+  puzzle.note = `${moveToSan(pos, mv)} is not the move — try again`;
+  if (!puzzle.failed) {
+    puzzle.failed = true;
+    puzzle.note += `. ${scorePuzzle(false)}`;
+  }
+  playSound('undo');
+  renderPuzzle();
+  return true;
+}
+
+// the solver's move was accepted and played: answer it, or finish the puzzle
+function continuePuzzle() {
+  puzzle.step++;
+  puzzle.note = '';
+  if (puzzle.step >= puzzle.data.moves.length) {
+    puzzle.solved = true;
+    puzzle.note = puzzle.failed ? 'Solved' : `Solved! ${scorePuzzle(true)}`;
+    renderPuzzle();
+    return;
+  }
+  renderPuzzle();
+  puzzleReply = setTimeout(() => {
+    puzzleReply = null;
+    playPuzzleMove();
+    renderBoard();
+    renderPuzzle();
+  }, PUZZLE_REPLY_MS);
+}
+
+// the first outcome of a puzzle is the one that counts for the rating; returns the change as text
+function scorePuzzle(solved) {
+  const stats = readPuzzleStats();
+  const before = stats.rating;
+  stats.rating = updatePuzzleRating(before, puzzle.data.rating, solved);
+  stats.done = stats.done.filter(id => id !== puzzle.data.id).concat(puzzle.data.id);
+  savePuzzleStats(stats);
+  const change = stats.rating - before;
+  return `Rating ${before} → ${stats.rating} (${change >= 0 ? '+' : ''}${change})`;
+}
+
+function renderPuzzle() {
+  puzzleRatingEl.textContent = `Puzzle rating ${readPuzzleStats().rating} · ${puzzleSet.length} puzzles loaded`;
+  puzzleBtn.textContent = puzzle ? 'Next puzzle' : 'Start puzzles';
+  puzzleExitBtn.hidden = !puzzle;
+  if (!puzzle) {
+    puzzleStatusEl.textContent = '';
+    return;
+  }
+  const {data, solver, solved, note} = puzzle;
+  const task = solved ? '' : `${solver === 'w' ? 'White' : 'Black'} to play. `;
+  const themes = data.themes.length ? ` · ${data.themes.join(', ')}` : '';
+  puzzleStatusEl.textContent = `${task}Puzzle ${data.id} (rated ${data.rating}${themes})${note ? '\n' + note : ''}`;
+}
+
+function loadPuzzleFile(file) {
+  file.text().then(text => {
+    const loaded = parsePuzzleCsv(text);
+    if (!loaded.length) throw new Error('No puzzles found — expected the Lichess puzzle CSV format');
+    puzzleSet = loaded;
+    startPuzzle();
+  }).catch(err => {
+    puzzleStatusEl.textContent = err.message;
+  });
+}
+
+puzzleBtn.addEventListener('click', startPuzzle);
+puzzleExitBtn.addEventListener('click', () => {
+  pgnTags = {};
+  setPosition(parseFen(START_FEN));
+});
+puzzleFileInput.addEventListener('change', () => {
+  if (puzzleFileInput.files.length) loadPuzzleFile(puzzleFileInput.files[0]);
+  puzzleFileInput.value = '';
+});
+
+/* -------------------------
+   Player profiles: kept in localStorage, each with an Elo rating (rating.js) that rated games
+   against the AI move, at the fixed rating of the level played. A rated game has no hints,
+   eval bar or undo, and walking away from one (Restart, loading a game or a puzzle) loses it.
+------------------------- */
+const PROFILES_KEY = 'chess-introvert-local-profiles';
+const PROFILE_HISTORY = 200; // games kept per profile; the record counts them all
+
+let ratedGame = null; // {profileId, level, change} for a game that counts; change is set once it's recorded
+
+function readProfiles() {
+  try {
+    return {active: null, profiles: [], ...JSON.parse(localStorage.getItem(PROFILES_KEY))};
+  } catch {
+    return {active: null, profiles: []};
+  }
+}
+
+function saveProfiles(store) {
+  localStorage.setItem(PROFILES_KEY, JSON.stringify(store));
+}
+
+function activeProfile() {
+  const store = readProfiles();
+  return store.profiles.find(p => p.id === store.active) || null;
+}
+
+function addProfile(name) {
+  const store = readProfiles();
+  const profile = {id: Date.now().toString(36), name, rating: START_RATING, played: 0, record: {}, history: []};
+  store.profiles.push(profile);
+  store.active = profile.id;
+  saveProfiles(store);
+}
+
+// hints, the eval bar and the level are off limits while a rated game is being played
+function assistsLocked() {
+  return !!ratedGame && !gameResult;
+}
+
+// A fresh game counts when "Rated" is ticked and there is a profile to rate
+function beginRatedGame() {
+  const profile = activeProfile();
+  ratedGame = ratedToggle.checked && profile && startFen === START_FEN && variant === 'standard' && !moves.length
+    ? {profileId: profile.id, level: +difficultySelect.value, color: humanColor, change: null}
+    : null;
+  renderProfile();
+  refreshEval();
+}
+
+// leaving a rated game after it has started counts as losing it
+function abandonRatedGame() {
+  if (ratedGame && ratedGame.change === null && moves.length && !gameResult) {
+    recordRatedGame({result: ratedGame.color === 'w' ? '0-1' : '1-0', reason: 'abandoned'});
+  }
+  ratedGame = null;
+}
+
+function finishRatedGame() {
+  if (ratedGame && ratedGame.change === null) recordRatedGame(gameResult);
+}
+
+// scores the finished game for the side the player took against the AI
+function recordRatedGame({result, reason}) {
+  const store = readProfiles();
+  const profile = store.profiles.find(p => p.id === ratedGame.profileId);
+  ratedGame.change = 0;
+  if (!profile) return;
+  const won = ratedGame.color === 'w' ? '1-0' : '0-1';
+  const outcome = result === won ? 'win' : result === '1/2-1/2' ? 'draw' : 'loss';
+  const level = ratedGame.level;
+  const before = profile.rating;
+  profile.rating = updateRating(before, DIFFICULTIES[level].rating, {win: 1, draw: 0.5, loss: 0}[outcome], profile.played);
+  profile.played++;
+  const tally = profile.record[level] || (profile.record[level] = {win: 0, loss: 0, draw: 0});
+  tally[outcome]++;
+  profile.history.push({date: Date.now(), level, color: ratedGame.color, outcome, result, reason, ratingBefore: before, ratingAfter: profile.rating});
+  if (profile.history.length > PROFILE_HISTORY) profile.history.shift();
+  saveProfiles(store);
+  ratedGame.change = profile.rating - before;
+}
+
+function renderProfile() {
+  const store = readProfiles();
+  const profile = store.profiles.find(p => p.id === store.active) || null;
+  profileSelect.innerHTML = '<option value="">No profile</option>' +
+    store.profiles.map(p => `<option value="${p.id}">${escapeHtml(p.name)} (${p.rating})</option>`).join('');
+  profileSelect.value = profile ? profile.id : '';
+  // the game being played is rated against one profile and one level
+  const playing = !!ratedGame && !gameResult && moves.length > 0;
+  profileSelect.disabled = playing;
+  difficultySelect.disabled = playing;
+  playerColorSelect.disabled = playing;
+  ratedToggle.disabled = !profile;
+  undoBtn.disabled = !!ratedGame;
+  hintBtn.disabled = assistsLocked() || (!!assistJob && assistJob.kind === 'hint');
+  evalToggle.disabled = assistsLocked();
+  if (!profile) {
+    profileSummaryEl.textContent = 'Add a profile to play rated games against the AI.';
+    profileRecordEl.innerHTML = '';
+    profileHistoryEl.innerHTML = '';
+    return;
+  }
+  const status = !ratedGame ? 'This game is casual.'
+    : ratedGame.change === null ? `This game is rated against ${DIFFICULTIES[ratedGame.level].label} (${DIFFICULTIES[ratedGame.level].rating}).`
+    : `Rated game over: ${ratedGame.change >= 0 ? '+' : ''}${ratedGame.change}.`;
+  profileSummaryEl.textContent = `${profile.name} · rating ${profile.rating} · ${profile.played} rated games. ${status}`;
+  const rows = Object.keys(DIFFICULTIES).filter(level => profile.record[level]).map(level => {
+    const {win, loss, draw} = profile.record[level];
+    return `<tr><td>${DIFFICULTIES[level].label} (${DIFFICULTIES[level].rating})</td><td>${win}</td><td>${loss}</td><td>${draw}</td></tr>`;
+  });
+  profileRecordEl.innerHTML = rows.length
+    ? `<tr><th>Against</th><th>Won</th><th>Lost</th><th>Drawn</th></tr>${rows.join('')}`
+    : '';
+  profileHistoryEl.innerHTML = profile.history.slice(-15).reverse().map(game => {
+    const change = game.ratingAfter - game.ratingBefore;
+    const outcome = {win: 'Won', loss: 'Lost', draw: 'Drew'}[game.outcome];
+    return `<li>${outcome} vs ${DIFFICULTIES[game.level].label} (${RESULT_TEXT[game.reason] || 'Abandoned'}) · ` +
+      `${game.ratingBefore} → ${game.ratingAfter} (${change >= 0 ? '+' : ''}${change}) · ${new Date(game.date).toLocaleDateString()}</li>`;
+  }).join('');
+}
+
+function escapeHtml(text) {
+  return text.replace(/[&<>"']/g, ch => ({'&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'}[ch]));
+}
+
+addProfileBtn.addEventListener('click', () => {
+  const name = profileNameInput.value.trim();
+  if (!name) return;
+  profileNameInput.value = '';
+  addProfile(name.slice(0, 24));
+  // switching profile only takes effect straight away if the game hasn't started
+  if (!moves.length) beginRatedGame();
+  else renderProfile();
+});
+profileSelect.addEventListener('change', () => {
+  const store = readProfiles();
+  store.active = profileSelect.value || null;
+  saveProfiles(store);
+  if (!moves.length) beginRatedGame();
+  else renderProfile();
+});
+ratedToggle.addEventListener('change', () => {
+  // takes effect with the next game, or now if this one hasn't started
+  if (!moves.length) beginRatedGame();
+});
+
 /* -------------------------
    Helpers & UI wiring
 ------------------------- */
@@ -540,6 +1679,29 @@ function aiMove() {
 function attachControls() {
   difficultySelect.addEventListener('change', ()=> {
     updateDifficultyIndicator();
+    // a rated game that hasn't started is played at the new level
+    if (!moves.length && ratedGame) beginRatedGame();
+  });
+  timeControlSelect.addEventListener('change', ()=> {
+    // a new time control takes effect straight away before the first move, otherwise on Restart
+    if (!moves.length) resetClock();
+  });
+  variantSelect.addEventListener('change', ()=> {
+    // a new variant starts a new game straight away before the first move, otherwise on Restart
+    if (moves.length || puzzle) return;
+    newGame();
+  });
+  playerColorSelect.addEventListener('change', ()=> {
+    // likewise the colour: before the first move the AI takes the other side at once
+    if (moves.length || puzzle) return;
+    pickSide();
+    beginRatedGame();
+    renderBoard();
+    scheduleAiMove();
+  });
+  flipBtn.addEventListener('click', ()=> {
+    flipped = !flipped;
+    renderBoard();
   });
 }
 
@@ -554,7 +1716,6 @@ function updateDifficultyIndicator() {
 }
 
 // basic startup
-renderBoard();
 init();
 
 // expose some helpers if needed
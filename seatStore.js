@@ -0,0 +1,47 @@
+// Reconnect tokens, kept per game in localStorage so a reload (or a new connection)
+// can take the same seat again, and the token of this browser's player profile.
+const SEATS_KEY = 'chess-introvert-seats';
+const LAST_GAME_KEY = 'chess-introvert-last-game';
+const PROFILE_KEY = 'chess-introvert-profile';
+
+function readSeats() {
+  try {
+    return JSON.parse(localStorage.getItem(SEATS_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+export function seatToken(gameId) {
+  return readSeats()[gameId] || null;
+}
+
+export function saveSeat(gameId, token) {
+  const seats = readSeats();
+  seats[gameId] = token;
+  localStorage.setItem(SEATS_KEY, JSON.stringify(seats));
+  localStorage.setItem(LAST_GAME_KEY, gameId);
+}
+
+// the game this browser last held a seat in, for the lobby's Resume button
+export function lastGame() {
+  const gameId = localStorage.getItem(LAST_GAME_KEY);
+  return gameId && seatToken(gameId) ? gameId : null;
+}
+
+// sent as profileToken so games are played (and rated) under the profile
+export function profileToken() {
+  return localStorage.getItem(PROFILE_KEY);
+}
+
+export function saveProfileToken(token) {
+  if (token) localStorage.setItem(PROFILE_KEY, token);
+  else localStorage.removeItem(PROFILE_KEY);
+}
+
+export function forgetSeat(gameId) {
+  const seats = readSeats();
+  delete seats[gameId];
+  localStorage.setItem(SEATS_KEY, JSON.stringify(seats));
+  if (localStorage.getItem(LAST_GAME_KEY) === gameId) localStorage.removeItem(LAST_GAME_KEY);
+}